@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+
+// ─── ACCOUNTS ────────────────────────────────────────────────────────────────
+// Lightweight local accounts: a username, a salted scrypt password hash, a
+// play-money bankroll that funds buy-ins, and lifetime stats. Logging in
+// hands out an auth token; like session tokens only its SHA-256 is kept.
+// Guests don't need any of this — an account is optional.
+const STARTING_BANKROLL = 10000;
+const AUTH_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME = /^[A-Za-z0-9_-]{3,20}$/;
+const LEADERBOARD_SORTS = ['net', 'bankroll', 'hands', 'biggestPot'];
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt, hash: crypto.scryptSync(String(password), salt, 32).toString('hex') };
+}
+
+function verifyPassword(record, password) {
+  if (!record) return false;
+  const hash = crypto.scryptSync(String(password || ''), record.salt, 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(record.hash, 'hex'));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Why a new account can't have these details, or null if it can
+function checkNew(username, password) {
+  if (!USERNAME.test(username || '')) return 'Usernames are 3–20 letters, digits, _ or -';
+  if (String(password || '').length < 6) return 'Passwords need at least 6 characters';
+  return null;
+}
+
+function newAccount(username, password, bankroll) {
+  return {
+    id: crypto.randomUUID(),
+    username,
+    password: hashPassword(password),
+    bankroll,
+    stats: { hands: 0, net: 0, biggestPot: 0 },
+    createdAt: Date.now()
+  };
+}
+
+function profile(a) {
+  return { username: a.username, bankroll: a.bankroll, ...a.stats, createdAt: a.createdAt };
+}
+
+function rank(profiles, sort, limit) {
+  const key = LEADERBOARD_SORTS.includes(sort) ? sort : 'net';
+  return profiles
+    .sort((a, b) => b[key] - a[key] || a.username.localeCompare(b.username))
+    .slice(0, limit)
+    .map((p, i) => ({ rank: i + 1, ...p }));
+}
+
+class AccountStore {
+  // store: anything with loadAccounts() / saveAccounts(data), e.g. JsonStore
+  constructor(store, startingBankroll = STARTING_BANKROLL) {
+    this.store = store;
+    this.startingBankroll = startingBankroll;
+    this.accounts = new Map(); // id -> account
+    this.tokens = new Map();   // token hash -> { accountId, expiresAt }
+    const data = store.loadAccounts();
+    for (const a of data.accounts || []) this.accounts.set(a.id, a);
+    for (const t of data.tokens || []) if (t.expiresAt > Date.now()) this.tokens.set(t.hash, t);
+  }
+
+  byName(username) {
+    const name = String(username || '').toLowerCase();
+    return [...this.accounts.values()].find(a => a.username.toLowerCase() === name) || null;
+  }
+
+  get(id) {
+    return this.accounts.get(id) || null;
+  }
+
+  register(username, password) {
+    const invalid = checkNew(username, password);
+    if (invalid) return { error: invalid };
+    if (this.byName(username)) return { error: 'That username is taken' };
+    const account = newAccount(username, password, this.startingBankroll);
+    this.accounts.set(account.id, account);
+    return { account, token: this.issue(account) };
+  }
+
+  login(username, password) {
+    const account = this.byName(username);
+    if (!account || !verifyPassword(account.password, password)) return { error: 'Wrong username or password' };
+    return { account, token: this.issue(account) };
+  }
+
+  issue(account) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const hash = hashToken(token);
+    this.tokens.set(hash, { hash, accountId: account.id, expiresAt: Date.now() + AUTH_TTL_MS });
+    this.save();
+    return token;
+  }
+
+  // The account behind a live auth token; slides its expiry
+  resolve(token) {
+    if (!token) return null;
+    const t = this.tokens.get(hashToken(token));
+    if (!t) return null;
+    if (t.expiresAt <= Date.now()) { this.tokens.delete(t.hash); return null; }
+    t.expiresAt = Date.now() + AUTH_TTL_MS;
+    return this.get(t.accountId);
+  }
+
+  logout(token) {
+    if (token && this.tokens.delete(hashToken(token))) this.save();
+  }
+
+  debit(id, amount) {
+    const a = this.get(id);
+    if (!a) return { error: 'No such account' };
+    if (a.bankroll < amount) return { error: `Not enough in your bankroll ($${a.bankroll})` };
+    a.bankroll -= amount;
+    this.save();
+    return { success: true, bankroll: a.bankroll };
+  }
+
+  credit(id, amount) {
+    const a = this.get(id);
+    if (!a || !amount) return;
+    a.bankroll += amount;
+    this.save();
+  }
+
+  // One finished hand: net is chips after minus chips before, won is what
+  // the player took from the pot (0 if they lost)
+  recordHand(id, { net = 0, won = 0 } = {}) {
+    const a = this.get(id);
+    if (!a) return;
+    a.stats.hands++;
+    a.stats.net += net;
+    a.stats.biggestPot = Math.max(a.stats.biggestPot, won);
+  }
+
+  // Results that don't come from a single hand, e.g. a tournament prize less its buy-in
+  recordNet(id, net) {
+    const a = this.get(id);
+    if (a) { a.stats.net += net; this.save(); }
+  }
+
+  profile(a) {
+    return profile(a);
+  }
+
+  leaderboard(sort = 'net', limit = 20) {
+    return rank([...this.accounts.values()].map(profile), sort, limit);
+  }
+
+  save() {
+    try {
+      this.store.saveAccounts({ accounts: [...this.accounts.values()], tokens: [...this.tokens.values()] });
+    } catch (err) {
+      console.error(`Failed to save accounts: ${err.message}`);
+    }
+  }
+}
+
+// ─── SHARED ACCOUNTS ─────────────────────────────────────────────────────────
+// The same accounts in Redis, for several processes (REDIS_URL): every method
+// returns a promise. An account is a hash, with a name -> id index beside it,
+// and auth tokens are keys that expire on their own. Bankroll and stats
+// change with HINCRBY, so processes paying the same account at once can't
+// lose each other's changes; a debit that overdraws is put straight back.
+class RedisAccountStore {
+  constructor(redis, startingBankroll = STARTING_BANKROLL, prefix = 'poker:') {
+    this.redis = redis;
+    this.startingBankroll = startingBankroll;
+    this.prefix = prefix;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  async byName(username) {
+    const id = await this.redis.command('HGET', this.key('account-names'), String(username || '').toLowerCase());
+    return id ? this.get(id) : null;
+  }
+
+  async get(id) {
+    const flat = await this.redis.command('HGETALL', this.key('account', id));
+    if (!flat.length) return null;
+    const f = {};
+    for (let i = 0; i + 1 < flat.length; i += 2) f[flat[i]] = flat[i + 1];
+    return {
+      id: f.id,
+      username: f.username,
+      password: JSON.parse(f.password),
+      bankroll: Number(f.bankroll),
+      stats: { hands: Number(f.hands), net: Number(f.net), biggestPot: Number(f.biggestPot) },
+      createdAt: Number(f.createdAt)
+    };
+  }
+
+  async register(username, password) {
+    const invalid = checkNew(username, password);
+    if (invalid) return { error: invalid };
+    const account = newAccount(username, password, this.startingBankroll);
+    // The name is taken by whoever sets it first
+    if (!await this.redis.command('HSETNX', this.key('account-names'), username.toLowerCase(), account.id)) {
+      return { error: 'That username is taken' };
+    }
+    const { stats, password: hash, ...rest } = account;
+    const fields = { ...rest, ...stats, password: JSON.stringify(hash) };
+    await this.redis.command('HSET', this.key('account', account.id), ...Object.entries(fields).flat());
+    return { account, token: await this.issue(account) };
+  }
+
+  async login(username, password) {
+    const account = await this.byName(username);
+    if (!account || !verifyPassword(account.password, password)) return { error: 'Wrong username or password' };
+    return { account, token: await this.issue(account) };
+  }
+
+  async issue(account) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await this.redis.command('SET', this.key('auth', hashToken(token)), account.id, 'PX', AUTH_TTL_MS);
+    return token;
+  }
+
+  // The account behind a live auth token; slides its expiry
+  async resolve(token) {
+    if (!token) return null;
+    const key = this.key('auth', hashToken(token));
+    const id = await this.redis.command('GET', key);
+    if (!id) return null;
+    await this.redis.command('PEXPIRE', key, AUTH_TTL_MS);
+    return this.get(id);
+  }
+
+  async logout(token) {
+    if (token) await this.redis.command('DEL', this.key('auth', hashToken(token)));
+  }
+
+  async debit(id, amount) {
+    const key = this.key('account', id);
+    if (!await this.redis.command('EXISTS', key)) return { error: 'No such account' };
+    const bankroll = await this.redis.command('HINCRBY', key, 'bankroll', -amount);
+    if (bankroll < 0) {
+      const back = await this.redis.command('HINCRBY', key, 'bankroll', amount);
+      return { error: `Not enough in your bankroll ($${back})` };
+    }
+    return { success: true, bankroll };
+  }
+
+  // Accounts are never deleted, so these write without looking first: the
+  // change goes out in the same breath as whatever the table says next
+  async credit(id, amount) {
+    if (amount) await this.redis.command('HINCRBY', this.key('account', id), 'bankroll', amount);
+  }
+
+  async recordHand(id, { net = 0, won = 0 } = {}) {
+    const key = this.key('account', id);
+    await this.redis.command('HINCRBY', key, 'hands', 1);
+    if (net) await this.redis.command('HINCRBY', key, 'net', net);
+    // Read then write: another process setting a record in between can be overwritten
+    if (won > Number(await this.redis.command('HGET', key, 'biggestPot'))) {
+      await this.redis.command('HSET', key, 'biggestPot', won);
+    }
+  }
+
+  async recordNet(id, net) {
+    if (net) await this.redis.command('HINCRBY', this.key('account', id), 'net', net);
+  }
+
+  profile(a) {
+    return profile(a);
+  }
+
+  async leaderboard(sort = 'net', limit = 20) {
+    const ids = await this.redis.command('HVALS', this.key('account-names'));
+    const accounts = await Promise.all(ids.map(id => this.get(id)));
+    return rank(accounts.filter(Boolean).map(profile), sort, limit);
+  }
+
+  // Every change is written as it happens
+  save() {}
+}
+
+module.exports = { AccountStore, RedisAccountStore, hashPassword, verifyPassword, STARTING_BANKROLL, LEADERBOARD_SORTS };
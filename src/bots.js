@@ -0,0 +1,125 @@
+const { SUITS } = require('./evaluator');
+const { potShare } = require('./equity');
+
+// ─── BOT PLAYERS ─────────────────────────────────────────────────────────────
+// Bots are ordinary seats with a `bot` strategy id. The server asks decide()
+// for a move when the turn comes round to one and plays it through
+// applyAction, so bots follow exactly the same rules as people.
+// A strategy sees only what its own seat could see: its cards, the board and
+// the betting (game.getBetLimits).
+
+const BOT_NAMES = ['Ada', 'Bender', 'Chip', 'Dot', 'Echo', 'Fuzz', 'Gizmo', 'Hal', 'Iris', 'Jinx', 'Kit', 'Lux'];
+const BOT_EMOJI = '🤖';
+
+// Monte Carlo equity: deal the unseen cards at random and count our share of
+// the pot (split pots and hi-lo halves count fractionally)
+function estimateEquity(game, p, trials = 200, rand = Math.random) {
+  const variant = game.variant;
+  const known = new Set([...p.hand, ...game.community].map(c => c.r + c.s));
+  const unseen = [];
+  for (const s of SUITS) for (const r of variant.ranks) if (!known.has(r + s)) unseen.push({ r, s });
+  const opponents = game.inHandPlayers().filter(o => o.id !== p.id).length;
+  const boardNeeded = 5 - game.community.length;
+  let share = 0;
+
+  for (let t = 0; t < trials; t++) {
+    // Partial Fisher-Yates: only shuffle as many cards as we deal
+    const deck = [...unseen];
+    const take = opponents * variant.holeCards + boardNeeded;
+    for (let i = 0; i < take; i++) {
+      const j = i + Math.floor(rand() * (deck.length - i));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    const board = [...game.community, ...deck.slice(0, boardNeeded)];
+    let next = boardNeeded;
+    const mine = variant.evaluate(p.hand, board);
+    const theirs = [];
+    for (let o = 0; o < opponents; o++) {
+      theirs.push(variant.evaluate(deck.slice(next, next + variant.holeCards), board));
+      next += variant.holeCards;
+    }
+    share += potShare(mine, theirs, variant.hiLo);
+  }
+  return share / trials;
+}
+
+// Pick a raise-to amount inside the legal range, aiming for `target`
+function raiseTo(limits, target) {
+  return Math.max(limits.minRaiseTo, Math.min(limits.maxRaiseTo, Math.round(target)));
+}
+
+function passive(limits) {
+  return limits.canCheck ? { action: 'check' } : { action: 'call' };
+}
+
+// Fold only when it costs something to continue
+function giveUp(limits) {
+  return limits.canCheck ? { action: 'check' } : { action: 'fold' };
+}
+
+const STRATEGIES = {
+  // Any legal move, weighted towards calling so hands actually get played
+  random: {
+    name: 'Random',
+    decide(game, p, limits, rand) {
+      const roll = rand();
+      if (roll < 0.15 && !limits.canCheck) return { action: 'fold' };
+      if (roll < 0.2 && limits.canAllIn) return { action: 'allin' };
+      if (roll < 0.4 && limits.canRaise) {
+        return { action: 'raise', amount: raiseTo(limits, limits.minRaiseTo + rand() * (limits.maxRaiseTo - limits.minRaiseTo) / 3) };
+      }
+      return passive(limits);
+    }
+  },
+
+  // Plays only hands well ahead of its fair share and never raises
+  tight: {
+    name: 'Tight-passive',
+    decide(game, p, limits, rand) {
+      if (limits.canCheck) return { action: 'check' };
+      const players = game.inHandPlayers().length;
+      const equity = estimateEquity(game, p, trialsFor(game), rand);
+      return equity >= 1.4 / players ? { action: 'call' } : { action: 'fold' };
+    }
+  },
+
+  // Calls when the price is right, raises for value with a strong hand
+  equity: {
+    name: 'Equity',
+    decide(game, p, limits, rand) {
+      const players = game.inHandPlayers().length;
+      const equity = estimateEquity(game, p, trialsFor(game), rand);
+      const potOdds = limits.toCall / (game.pot + limits.toCall);
+      if (limits.canRaise && equity >= 1.6 / players) {
+        return { action: 'raise', amount: raiseTo(limits, game.callAmount + game.pot * equity) };
+      }
+      if (limits.canCheck) return { action: 'check' };
+      return equity >= potOdds ? { action: 'call' } : giveUp(limits);
+    }
+  }
+};
+
+// Omaha hands are 60 five-card combinations each — sample less
+function trialsFor(game) {
+  return game.variant.holeCards > 2 ? 80 : 250;
+}
+
+function isStrategy(id) {
+  return typeof id === 'string' && Object.hasOwn(STRATEGIES, id);
+}
+
+// The move for the bot whose turn it is
+function decide(game, playerId, rand = Math.random) {
+  const p = game.players.find(pl => pl.id === playerId);
+  const limits = game.getBetLimits(p);
+  const strategy = STRATEGIES[isStrategy(p.bot) ? p.bot : 'random'];
+  return strategy.decide(game, p, limits, rand);
+}
+
+// First unused name, falling back to numbered bots
+function botName(taken) {
+  const used = new Set(taken);
+  return BOT_NAMES.find(n => !used.has(n)) || `Bot ${used.size + 1}`;
+}
+
+module.exports = { STRATEGIES, BOT_EMOJI, isStrategy, decide, estimateEquity, botName };
@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// ─── CLUSTER ─────────────────────────────────────────────────────────────────
+// Several server processes sharing one Redis serve the same tables. Each
+// table lives on exactly one process at a time — the one holding its lease —
+// and only that process runs its game, timers and bots. Other processes pass
+// socket events for the table to it over pub/sub. A lease is a Redis key
+// with an expiry, renewed while the process is alive; when a process stops,
+// its leases run out and the next process to touch the table (or the orphan
+// sweep) loads it from the store and takes over.
+const PREFIX = 'poker:';
+const CALL_TIMEOUT_MS = 5000;
+
+// One process, no Redis: it owns every table
+class LocalCluster {
+  constructor() {
+    this.nodeId = 'local';
+    this.shared = false;
+  }
+
+  locate() { return this.nodeId; }
+  claim() { return true; }
+  release() {}
+  handle() {}
+}
+
+class Cluster {
+  // hooks: load(roomId) -> saved room or null, roomIds() -> every saved
+  // room id, adopt(data) when a table comes here, drop(roomId) when its
+  // lease is lost
+  constructor(redis, { nodeId, leaseMs = 15000, hooks }) {
+    this.redis = redis;
+    this.nodeId = nodeId || uuidv4();
+    this.shared = true;
+    this.leaseMs = leaseMs;
+    this.hooks = hooks;
+    this.owned = new Set();
+    this.locating = new Map(); // roomId -> promise of its owner, one lookup at a time
+    this.calls = new Map();    // call id -> { resolve, reject, timer }
+    this.handlers = {};
+    this.timers = [];
+  }
+
+  async start() {
+    await this.redis.ready();
+    await this.redis.subscribe(this.channel(this.nodeId), msg => this.receive(msg));
+    this.timers.push(setInterval(() => this.renew(), Math.max(50, this.leaseMs / 3)));
+    this.timers.push(setInterval(() => this.adoptOrphans().catch(() => {}), this.leaseMs));
+    await this.adoptOrphans();
+  }
+
+  // Release every lease so other processes can pick the tables up at once
+  async stop() {
+    for (const t of this.timers) clearInterval(t);
+    await Promise.all([...this.owned].map(id => this.release(id)));
+  }
+
+  channel(nodeId) { return `${PREFIX}node:${nodeId}`; }
+  leaseKey(roomId) { return `${PREFIX}lease:${roomId}`; }
+
+  async lease(roomId) {
+    return await this.redis.command('SET', this.leaseKey(roomId), this.nodeId, 'NX', 'PX', this.leaseMs) === 'OK';
+  }
+
+  // Take a table nobody holds, e.g. a new one. False if someone has it.
+  async claim(roomId) {
+    if (!await this.lease(roomId)) return false;
+    this.owned.add(roomId);
+    return true;
+  }
+
+  // Only our own lease is deleted (check then delete — if it expired in
+  // between, another process holds a fresh one for ROOM_LEASE_MS anyway)
+  async release(roomId) {
+    this.owned.delete(roomId);
+    if (await this.redis.command('GET', this.leaseKey(roomId)) === this.nodeId) {
+      await this.redis.command('DEL', this.leaseKey(roomId));
+    }
+    await this.redis.command('HDEL', `${PREFIX}lobby`, roomId);
+  }
+
+  // The node a table lives on, taking it over if nobody holds it.
+  // Null if there's no such table.
+  async locate(roomId) {
+    if (this.owned.has(roomId)) return this.nodeId;
+    if (!this.locating.has(roomId)) {
+      this.locating.set(roomId, this.findOwner(roomId).finally(() => this.locating.delete(roomId)));
+    }
+    return this.locating.get(roomId);
+  }
+
+  async findOwner(roomId) {
+    const owner = await this.redis.command('GET', this.leaseKey(roomId));
+    if (owner && owner !== this.nodeId) return owner;
+    // Our name on a lease we don't hold: we let the table go and it came
+    // back before the lease ran out
+    if (owner) await this.redis.command('PEXPIRE', this.leaseKey(roomId), this.leaseMs);
+    else if (!await this.lease(roomId)) return this.redis.command('GET', this.leaseKey(roomId));
+    let data = null;
+    try {
+      data = await this.hooks.load(roomId);
+      if (data) this.hooks.adopt(data);
+    } catch (err) {
+      console.error(`Failed to take over room ${roomId}: ${err.message}`);
+      data = null;
+    }
+    if (!data) {
+      await this.redis.command('DEL', this.leaseKey(roomId));
+      return null;
+    }
+    this.owned.add(roomId);
+    return this.nodeId;
+  }
+
+  async renew() {
+    for (const roomId of [...this.owned]) {
+      try {
+        const owner = await this.redis.command('GET', this.leaseKey(roomId));
+        if (owner === this.nodeId) await this.redis.command('PEXPIRE', this.leaseKey(roomId), this.leaseMs);
+        else if (owner || !await this.lease(roomId)) {
+          this.owned.delete(roomId);
+          this.hooks.drop(roomId);
+        }
+      } catch {
+        // Redis is unreachable; try again on the next round
+      }
+    }
+  }
+
+  // Saved tables whose process has gone and nobody has touched since
+  async adoptOrphans() {
+    for (const roomId of await this.hooks.roomIds()) {
+      if (this.owned.has(roomId)) continue;
+      if (!await this.redis.command('EXISTS', this.leaseKey(roomId))) await this.locate(roomId);
+    }
+  }
+
+  // ── Messages between processes ──
+  handle(method, fn) {
+    this.handlers[method] = fn;
+  }
+
+  // Fire and forget; resolves to whether the node is there to hear it
+  async send(nodeId, method, args) {
+    return await this.redis.publish(this.channel(nodeId), JSON.stringify({ method, args })) > 0;
+  }
+
+  call(nodeId, method, args) {
+    const id = uuidv4();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.calls.delete(id);
+        reject(new Error(`No answer from node ${nodeId}`));
+      }, CALL_TIMEOUT_MS);
+      this.calls.set(id, { resolve, reject, timer });
+      const msg = JSON.stringify({ id, from: this.nodeId, method, args });
+      this.redis.publish(this.channel(nodeId), msg).then(n => {
+        if (n > 0) return;
+        clearTimeout(timer);
+        this.calls.delete(id);
+        reject(new Error(`Node ${nodeId} is not running`));
+      }, reject);
+    });
+  }
+
+  receive(raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    if (msg.reply) {
+      const call = this.calls.get(msg.reply);
+      if (!call) return;
+      clearTimeout(call.timer);
+      this.calls.delete(msg.reply);
+      if (msg.error) call.reject(new Error(msg.error));
+      else call.resolve(msg.result ?? null);
+      return;
+    }
+    const answer = reply => msg.id && this.redis.publish(this.channel(msg.from), JSON.stringify({ reply: msg.id, ...reply })).catch(() => {});
+    Promise.resolve()
+      .then(() => {
+        const fn = this.handlers[msg.method];
+        if (!fn) throw new Error(`Unknown method ${msg.method}`);
+        return fn(...msg.args);
+      })
+      .then(result => answer({ result }), err => answer({ error: err.message }));
+  }
+
+  // ── Lobby ──
+  // Each process lists its own public tables; entries from a process that
+  // stopped age out
+  async publishLobby(summaries) {
+    if (!summaries.length) return;
+    const at = Date.now();
+    const fields = summaries.flatMap(s => [s.roomId, JSON.stringify({ node: this.nodeId, at, summary: s })]);
+    await this.redis.command('HSET', `${PREFIX}lobby`, ...fields);
+  }
+
+  // Tables listed by other processes
+  async lobby() {
+    const flat = await this.redis.command('HGETALL', `${PREFIX}lobby`);
+    const cutoff = Date.now() - 3 * this.leaseMs;
+    const list = [];
+    for (let i = 1; i < flat.length; i += 2) {
+      const { node, at, summary } = JSON.parse(flat[i]);
+      if (node !== this.nodeId && at > cutoff && !this.owned.has(summary.roomId)) list.push(summary);
+    }
+    return list;
+  }
+}
+
+// ─── SOCKET.IO ADAPTER ───────────────────────────────────────────────────────
+// Carries Socket.io broadcasts, room joins and fetchSockets between the
+// processes over Redis pub/sub, so io.to(socketId) or io.to(roomId) reaches
+// sockets connected anywhere. Messages are JSON: no binary payloads.
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, redis, opts) {
+    super(nsp, opts);
+    this.redis = redis;
+    this.channel = `${PREFIX}io:${nsp.name}`;
+    redis.subscribe(this.channel, raw => this.onMessage(JSON.parse(raw))).catch(() => {});
+    redis.subscribe(`${this.channel}:${this.uid}`, raw => this.onResponse(JSON.parse(raw))).catch(() => {});
+  }
+
+  async doPublish(message) {
+    await this.redis.publish(this.channel, JSON.stringify(message));
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.redis.publish(`${this.channel}:${requesterUid}`, JSON.stringify(response));
+  }
+}
+
+// Socket.io calls this with new, so no arrow function
+function busAdapter(redis, opts) {
+  return function (nsp) { return new BusAdapter(nsp, redis, opts); };
+}
+
+module.exports = { LocalCluster, Cluster, BusAdapter, busAdapter };
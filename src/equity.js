@@ -0,0 +1,124 @@
+const { SUITS } = require('./evaluator');
+
+// ─── ALL-IN EQUITY ───────────────────────────────────────────────────────────
+// Each live hand's chance to win or tie once no more betting is possible.
+// Every board that could still come is enumerated when that fits the
+// evaluation budget; otherwise boards are sampled at random (Monte Carlo).
+// Only the cards everyone can see count as known — live hands and the board
+// (plus `dead` cards, e.g. the first board when running it twice).
+
+// Five-card evaluations we allow per call, roughly 0.2s of work
+const EVAL_BUDGET = 60000;
+// Evaluations per slice when calculateEquityAsync works in the background,
+// a few milliseconds each
+const SLICE_EVALS = 2000;
+
+// Our fraction of the pot against the other hands: ties split, and in hi-lo
+// games the high and low halves are counted separately
+function potShare(mine, theirs, hiLo) {
+  const bestHigh = Math.max(mine.score, ...theirs.map(h => h.score));
+  const highShare = mine.score === bestHigh ? 1 / (1 + theirs.filter(h => h.score === bestHigh).length) : 0;
+  if (!hiLo) return highShare;
+  const lows = [mine, ...theirs].filter(h => h.low).map(h => h.low.score);
+  if (!lows.length) return highShare;
+  const bestLow = Math.min(...lows);
+  const lowShare = mine.low && mine.low.score === bestLow ? 1 / lows.filter(s => s === bestLow).length : 0;
+  return (highShare + lowShare) / 2;
+}
+
+function binomial(n, k) {
+  let r = 1;
+  for (let i = 0; i < k; i++) r = r * (n - i) / (i + 1);
+  return Math.round(r);
+}
+
+// Every k-card run from cards, reusing one array
+function* eachRun(cards, k, run = [], start = 0) {
+  if (run.length === k) { yield run; return; }
+  for (let i = start; i <= cards.length - (k - run.length); i++) {
+    run.push(cards[i]);
+    yield* eachRun(cards, k, run, i + 1);
+    run.pop();
+  }
+}
+
+// n random k-card runs from cards
+function* sampleRuns(cards, k, n, rand) {
+  const deck = [...cards];
+  for (let t = 0; t < n; t++) {
+    // Partial Fisher-Yates: only shuffle the cards we deal
+    for (let i = 0; i < k; i++) {
+      const j = i + Math.floor(rand() * (deck.length - i));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    yield deck.slice(0, k);
+  }
+}
+
+// A calculation that can be done in pieces: step(n) scores up to n more
+// boards and says whether it's finished, result() gives the answer
+function equityJob(variant, hands, board, { dead = [], budget = EVAL_BUDGET, rand = Math.random } = {}) {
+  const known = new Set([...hands.flatMap(h => h.cards), ...board, ...dead].map(c => c.r + c.s));
+  const unseen = [];
+  for (const s of SUITS) for (const r of variant.ranks) if (!known.has(r + s)) unseen.push({ r, s });
+  const need = 5 - board.length;
+  const totals = hands.map(() => ({ win: 0, tie: 0, equity: 0 }));
+
+  const score = (run) => {
+    const full = [...board, ...run];
+    const evals = hands.map(h => variant.evaluate(h.cards, full));
+    evals.forEach((mine, i) => {
+      const share = potShare(mine, evals.filter((_, j) => j !== i), variant.hiLo);
+      if (share === 1) totals[i].win++;
+      else if (share > 0) totals[i].tie++;
+      totals[i].equity += share;
+    });
+  };
+
+  // Omaha hands are 60 five-card combinations each, Hold'em hands 21
+  const costPerBoard = hands.length * (variant.holeCards > 2 ? 60 : 21);
+  const runs = binomial(unseen.length, need);
+  const exact = runs * costPerBoard <= budget;
+  const boards = exact ? runs : Math.max(100, Math.floor(budget / costPerBoard));
+  const todo = exact ? eachRun(unseen, need) : sampleRuns(unseen, need, boards, rand);
+
+  return {
+    costPerBoard,
+    step(n) {
+      for (let i = 0; i < n; i++) {
+        const next = todo.next();
+        if (next.done) return true;
+        score(next.value);
+      }
+      return false;
+    },
+    result() {
+      const round = x => Math.round(x / boards * 10000) / 10000;
+      const players = {};
+      hands.forEach((h, i) => {
+        players[h.id] = { win: round(totals[i].win), tie: round(totals[i].tie), equity: round(totals[i].equity) };
+      });
+      return { exact, boards, players };
+    }
+  };
+}
+
+// hands: [{ id, cards }]. Returns { exact, boards, players: { id: { win, tie, equity } } }
+// where win is the share of boards a hand takes the whole pot, tie the share
+// it splits it, and equity its expected fraction of the pot.
+function calculateEquity(variant, hands, board, opts) {
+  const job = equityJob(variant, hands, board, opts);
+  job.step(Infinity);
+  return job.result();
+}
+
+// The same without holding up the server: a slice at a time, letting other
+// events in between slices
+async function calculateEquityAsync(variant, hands, board, opts) {
+  const job = equityJob(variant, hands, board, opts);
+  const slice = Math.max(1, Math.floor(SLICE_EVALS / job.costPerBoard));
+  while (!job.step(slice)) await new Promise(resolve => setImmediate(resolve));
+  return job.result();
+}
+
+module.exports = { calculateEquity, calculateEquityAsync, potShare, EVAL_BUDGET };
@@ -0,0 +1,106 @@
+// ─── HAND EVALUATOR ──────────────────────────────────────────────────────────
+const RANKS = ['2','3','4','5','6','7','8','9','10','J','Q','K','A'];
+const SUITS = ['♠','♥','♦','♣'];
+const RANK_VAL = {};
+RANKS.forEach((r, i) => RANK_VAL[r] = i + 2);
+
+// Short Deck reorders the categories: a flush beats a full house (flushes are
+// rarer with 36 cards) and three of a kind beats a straight
+const SHORT_DECK_RANK = { 3: 4, 4: 3, 5: 6, 6: 5 };
+
+function combinations(arr, k) {
+  const out = [];
+  const pick = (start, combo) => {
+    if (combo.length === k) { out.push([...combo]); return; }
+    for (let i = start; i < arr.length; i++) {
+      combo.push(arr[i]);
+      pick(i + 1, combo);
+      combo.pop();
+    }
+  };
+  pick(0, []);
+  return out;
+}
+
+// opts.shortDeck: 6-A deck, so A-6-7-8-9 is the wheel and the ranking changes
+function evalFive(cards, opts = {}) {
+  const vals = cards.map(c => RANK_VAL[c.r]).sort((a, b) => b - a);
+  const suits = cards.map(c => c.s);
+  const flush = suits.every(s => s === suits[0]);
+  const sorted = [...vals].sort((a, b) => a - b);
+  const isWheel = sorted.join(',') === (opts.shortDeck ? '6,7,8,9,14' : '2,3,4,5,14');
+  const straight = isWheel || sorted.every((v, i) => i === 0 || v === sorted[i - 1] + 1);
+
+  const counts = {};
+  for (const v of vals) counts[v] = (counts[v] || 0) + 1;
+  const freq = Object.values(counts).sort((a, b) => b - a);
+  const pairs = freq.filter(f => f === 2).length;
+
+  let rank = 0, name = 'High Card';
+  if (flush && straight) { rank = 8; name = vals[0] === 14 && !isWheel ? 'Royal Flush' : 'Straight Flush'; }
+  else if (freq[0] === 4) { rank = 7; name = 'Four of a Kind'; }
+  else if (freq[0] === 3 && freq[1] === 2) { rank = 6; name = 'Full House'; }
+  else if (flush) { rank = 5; name = 'Flush'; }
+  else if (straight) { rank = 4; name = 'Straight'; }
+  else if (freq[0] === 3) { rank = 3; name = 'Three of a Kind'; }
+  else if (pairs === 2) { rank = 2; name = 'Two Pair'; }
+  else if (pairs === 1) { rank = 1; name = 'One Pair'; }
+  if (opts.shortDeck && SHORT_DECK_RANK[rank]) rank = SHORT_DECK_RANK[rank];
+
+  // Ties break on the made part of the hand first (quads, trips, pairs, high
+  // to low), then kickers. In a wheel the ace plays low.
+  const tieVals = isWheel
+    ? [...sorted.slice(0, 4).reverse(), 1]
+    : Object.keys(counts).map(Number).sort((a, b) => counts[b] - counts[a] || b - a);
+  let score = rank;
+  for (let i = 0; i < 5; i++) score = score * 15 + (tieVals[i] || 0);
+  return { rank, name, score };
+}
+
+function bestOf(fives, opts) {
+  let best = null;
+  for (const five of fives) {
+    const h = evalFive(five, opts);
+    if (!best || h.score > best.score) best = h;
+  }
+  return best;
+}
+
+// Best five of any seven (or fewer) cards — Hold'em rules
+function bestOf7(cards, opts = {}) {
+  if (cards.length <= 5) return evalFive(cards, opts);
+  return bestOf(combinations(cards, 5), opts);
+}
+
+// Omaha: exactly two hole cards and exactly three from the board
+function omahaFives(hole, board) {
+  const fives = [];
+  for (const h of combinations(hole, 2)) for (const b of combinations(board, 3)) fives.push([...h, ...b]);
+  return fives;
+}
+
+function bestOmaha(hole, board, opts = {}) {
+  return bestOf(omahaFives(hole, board), opts);
+}
+
+// ─── LOW HANDS (EIGHT OR BETTER) ─────────────────────────────────────────────
+// Five different ranks, 8 or lower, aces low. Straights and flushes don't
+// count against a low. Lower score is better; null means no qualifying low.
+function evalLow(cards) {
+  const vals = cards.map(c => c.r === 'A' ? 1 : RANK_VAL[c.r]);
+  if (vals.some(v => v > 8) || new Set(vals).size !== 5) return null;
+  const desc = vals.sort((a, b) => b - a);
+  const score = desc.reduce((acc, v) => acc * 16 + v, 0);
+  return { name: `${desc.map(v => v === 1 ? 'A' : v).join('-')} low`, score };
+}
+
+function bestOmahaLow(hole, board) {
+  let best = null;
+  for (const five of omahaFives(hole, board)) {
+    const l = evalLow(five);
+    if (l && (!best || l.score < best.score)) best = l;
+  }
+  return best;
+}
+
+module.exports = { RANKS, SUITS, RANK_VAL, evalFive, bestOf7, bestOmaha, evalLow, bestOmahaLow };
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+// ─── PROVABLY FAIR SHUFFLE ───────────────────────────────────────────────────
+// Commit-reveal scheme:
+//   1. Before a hand, the server publishes sha256(serverSeed) for the NEXT hand.
+//   2. Players may set client seeds; the ones at the table when the hand is
+//      dealt are mixed in, so the server can't pick a seed to suit a deck.
+//   3. The deck is a Fisher-Yates shuffle driven by
+//      HMAC-SHA256(serverSeed, "<clientSeed>:<nonce>:<counter>").
+//   4. When the game ends the server seeds of its hands are revealed and
+//      anyone can rebuild the decks. Not before: a deck holds every card
+//      dealt, folded and mucked hands included (see seedRevealed).
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+function newServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(serverSeed) {
+  return sha256(serverSeed);
+}
+
+function deckHash(deck) {
+  return sha256(deck.map(c => c.r + c.s).join(','));
+}
+
+// randInt(n) -> uniform integer in [0, n). Rejection sampling keeps it unbiased.
+function createRng(serverSeed, clientSeed, nonce) {
+  let counter = 0;
+  let buf = Buffer.alloc(0);
+  let offset = 0;
+  const nextUint32 = () => {
+    if (offset + 4 > buf.length) {
+      buf = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${counter++}`).digest();
+      offset = 0;
+    }
+    const v = buf.readUInt32BE(offset);
+    offset += 4;
+    return v;
+  };
+  return n => {
+    const limit = Math.floor(0x100000000 / n) * n;
+    let v;
+    do { v = nextUint32(); } while (v >= limit);
+    return v % n;
+  };
+}
+
+// Seat-ordered client seeds joined into one string
+function combineClientSeeds(seeds) {
+  return seeds.map(s => s || '').join(':');
+}
+
+// Checks a finished hand record against a deck rebuilt from its revealed seed.
+// Cards come off the end of the deck: each seat's hole cards in seat order,
+// then the board. The variant decides the deck (see rebuildDeck).
+function verifyHand(hand, deck) {
+  const f = hand.fairness;
+  const commitmentMatches = hashSeed(f.serverSeed) === f.commitment;
+  const deckHashMatches = deckHash(deck) === f.deckHash;
+  const remaining = [...deck];
+  const same = (a, b) => a && b && a.r === b.r && a.s === b.s;
+  let dealtCardsMatch = true;
+  for (const s of hand.seats) {
+    for (const c of s.cards) if (!same(c, remaining.pop())) dealtCardsMatch = false;
+  }
+  for (const c of hand.board) if (!same(c, remaining.pop())) dealtCardsMatch = false;
+  return {
+    valid: commitmentMatches && deckHashMatches && dealtCardsMatch,
+    commitmentMatches,
+    deckHashMatches,
+    dealtCardsMatch
+  };
+}
+
+// Whether a finished hand record's server seed is public: its game is over,
+// and with it every deal up to revealedThrough (see PokerGame.revealSeeds)
+function seedRevealed(hand, revealedThrough) {
+  return !!hand && hand.deal <= revealedThrough;
+}
+
+module.exports = { newServerSeed, hashSeed, deckHash, createRng, combineClientSeeds, verifyHand, seedRevealed };
@@ -1,70 +1,52 @@
-// ─── DECK ────────────────────────────────────────────────────────────────────
-const RANKS = ['2','3','4','5','6','7','8','9','10','J','Q','K','A'];
-const SUITS = ['♠','♥','♦','♣'];
-const RANK_VAL = {};
-RANKS.forEach((r, i) => RANK_VAL[r] = i + 2);
+const crypto = require('crypto');
+const { newServerSeed, hashSeed, deckHash, createRng, combineClientSeeds, seedRevealed } = require('./fairness');
+const { RANKS, SUITS, evalFive, bestOf7 } = require('./evaluator');
+const { DEFAULT_VARIANT, isVariant, getVariant } = require('./variants');
+const { calculateEquity, calculateEquityAsync } = require('./equity');
+const { SessionStats } = require('./stats');
 
-function newDeck() {
+// ─── DECK ────────────────────────────────────────────────────────────────────
+// randInt(n) returns an integer in [0, n); defaults to the OS CSPRNG.
+// ranks lets a variant strip the deck (Short Deck plays 6 through ace).
+function newDeck(randInt = crypto.randomInt, ranks = RANKS) {
   const d = [];
-  for (const s of SUITS) for (const r of RANKS) d.push({ r, s });
-  return shuffle(d);
+  for (const s of SUITS) for (const r of ranks) d.push({ r, s });
+  return shuffle(d, randInt);
 }
 
-function shuffle(arr) {
+function shuffle(arr, randInt = crypto.randomInt) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randInt(i + 1);
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
-// ─── HAND EVALUATOR ──────────────────────────────────────────────────────────
-function evalFive(cards) {
-  const vals = cards.map(c => RANK_VAL[c.r]).sort((a, b) => b - a);
-  const suits = cards.map(c => c.s);
-  const flush = suits.every(s => s === suits[0]);
-  const sorted = [...vals].sort((a, b) => a - b);
-  const isWheel = sorted.join(',') === '2,3,4,5,14';
-  const straight = isWheel || sorted.every((v, i) => i === 0 || v === sorted[i - 1] + 1);
-
-  const counts = {};
-  for (const v of vals) counts[v] = (counts[v] || 0) + 1;
-  const freq = Object.values(counts).sort((a, b) => b - a);
-  const pairs = freq.filter(f => f === 2).length;
-
-  let rank = 0, name = 'High Card';
-  if (flush && straight) { rank = 8; name = vals[0] === 14 && !isWheel ? 'Royal Flush' : 'Straight Flush'; }
-  else if (freq[0] === 4) { rank = 7; name = 'Four of a Kind'; }
-  else if (freq[0] === 3 && freq[1] === 2) { rank = 6; name = 'Full House'; }
-  else if (flush) { rank = 5; name = 'Flush'; }
-  else if (straight) { rank = 4; name = 'Straight'; }
-  else if (freq[0] === 3) { rank = 3; name = 'Three of a Kind'; }
-  else if (pairs === 2) { rank = 2; name = 'Two Pair'; }
-  else if (pairs === 1) { rank = 1; name = 'One Pair'; }
-
-  const tieVals = isWheel ? [5, 4, 3, 2, 1] : vals;
-  const score = rank * 1e10 + tieVals[0] * 1e7 + (tieVals[1] || 0) * 1e5 +
-    (tieVals[2] || 0) * 1e3 + (tieVals[3] || 0) * 10 + (tieVals[4] || 0);
-  return { rank, name, score };
+// A fixed deck for scripted hands: `cards` come off first, in the order
+// given, then the rest of the deck in rank/suit order
+function stackedDeck(cards, ranks = RANKS) {
+  const listed = new Set(cards.map(c => c.r + c.s));
+  const rest = [];
+  for (const s of SUITS) for (const r of ranks) if (!listed.has(r + s)) rest.push({ r, s });
+  return [...rest.reverse(), ...[...cards].reverse()]; // dealt with pop()
 }
 
-function bestOf7(cards) {
-  let best = null;
-  const n = cards.length;
-  for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) {
-    const five = cards.filter((_, idx) => idx !== i && idx !== j);
-    if (five.length !== 5) continue;
-    const h = evalFive(five);
-    if (!best || h.score > best.score) best = h;
-  }
-  return best || evalFive(cards.slice(0, 5));
+// Deck order for a hand, from its revealed seeds
+function rebuildDeck({ serverSeed, clientSeed, nonce, variant }) {
+  return newDeck(createRng(serverSeed, clientSeed, nonce), getVariant(variant).ranks);
 }
 
 // ─── GAME ENGINE ─────────────────────────────────────────────────────────────
 const DEFAULT_SMALL_BLIND = 25;
 const DEFAULT_BIG_BLIND = 50;
 const STARTING_CHIPS = 1500;
+const BETTING_STRUCTURES = ['no-limit', 'pot-limit', 'fixed-limit'];
+const DEFAULT_RAISE_CAP = 4; // fixed-limit: bet + 3 raises per street
+const MAX_SEATS = 9;
+const DEFAULT_TIME_BANK = { seconds: 30, refill: 5, everyHands: 10 };
+const PRE_ACTIONS = ['check-fold', 'check', 'call', 'call-any'];
+const ANTE_TYPES = ['each', 'big-blind']; // every player antes, or the big blind antes for the table
 
 class PokerGame {
   constructor(roomId) {
@@ -75,21 +57,61 @@ class PokerGame {
     this.sidePots = [];
     this.deck = [];
     this.phase = 'waiting'; // waiting, preflop, flop, turn, river, showdown
-    this.dealerIndex = -1;
+    this.dealerIndex = -1;  // player on the button, -1 when the button is dead
+    this.buttonSeat = -1;   // seat numbers of last hand's positions (see movePositions)
+    this.sbSeat = -1;
+    this.bbSeat = -1;
+    this.runningOut = false; // no more betting possible, board still to come
+    this.allowRunItTwice = false; // table option — every live player must opt in too
+    this.runTwice = false;   // this hand's run-out is dealt on two boards
+    this.runoutFrom = 0;     // board cards that were out when the run-out began
+    this.board2 = null;      // the second board when running it twice
+    this.equity = null;      // see updateEquity()
+    this.lastAggressor = null; // last to bet or raise this street — shows first
+    this.shown = {};         // id -> indices of hole cards turned face up for everyone
+    this.rabbit = null;      // board cards that would have come, see rabbitHunt()
+    this.allowStraddle = false; // table option — the player under the gun may straddle
+    this.straddle = 0;       // this hand's straddle, 0 if nobody straddled
+    this.bombPotAnte = 0;    // what everyone antes in a bomb pot (0 = twice the big blind)
+    this.bombPotEvery = 0;   // deal a bomb pot every this many hands (0 = only when called)
+    this.bombPotNext = false; // the host called a bomb pot for the next hand
+    this.bombPot = false;    // this hand is a bomb pot
+    this.lastRemoved = [];   // players removed at the last deal (sat out too long, or kicked)
+    this.departed = [];      // ledger lines of players who have left (see getLedger)
+    this.clock = null;       // { playerId, deadline, seconds, bankFrom, pausedAt } — see startClock()
+    this.paused = false;
+    this.timeBank = { ...DEFAULT_TIME_BANK };
     this.currentIndex = -1;
     this.callAmount = 0;
-    this.minRaise = this.BIG_BLIND;
+    this.minRaise = this.BIG_BLIND; // size of the last full raise this street
     this.actedThisRound = new Set();
+    this.actedAt = {};       // playerId -> call amount when they last acted this street
     this.roundBets = {};
     this.log = [];
     this.handNumber = 0;
     this.lastAction = null;
+    this.handRecord = null; // structured history of the hand in progress
+    this.lastHand = null;   // most recently finished hand record
+    this.stats = new SessionStats(); // per-player VPIP, PFR etc. from finished hands
+    this.nextServerSeed = newServerSeed(); // committed to (by hash) before it's used
+    this.seeded = false;    // see seedDecks()
+    this.stacked = null;    // see stackDeck()
+    this.fairness = null;   // seeds + commitments for the current/last hand
+    this.deals = 0;         // hands dealt here, counting on across games; numbers hand records
+    this.seedsRevealedThrough = 0; // deals whose server seeds are public (see revealSeeds)
     this.SMALL_BLIND = DEFAULT_SMALL_BLIND;
     this.BIG_BLIND = DEFAULT_BIG_BLIND;
+    this.ANTE = 0;
+    this.anteType = 'each';
+    this.variant = getVariant(DEFAULT_VARIANT);
+    this.bettingStructure = 'no-limit';
+    this.raiseCap = DEFAULT_RAISE_CAP;
+    this.raisesThisRound = 0;
     this.defaultStack = 1500;
   }
 
-  addPlayer(id, name, startingStack, emoji) {
+  // bot: strategy id for a server-driven seat (see bots.js), null for people
+  addPlayer(id, name, startingStack, emoji, bot = null) {
     // If player exists but is disconnected, just reconnect them
     const existing = this.players.find(p => p.id === id);
     if (existing) {
@@ -100,25 +122,129 @@ class PokerGame {
       }
       return { error: 'Already seated' };
     }
-    if (this.players.length >= 9) return { error: 'Table is full' };
+    if (this.players.length >= MAX_SEATS) return { error: 'Table is full' };
+    const chips = startingStack || this.defaultStack || 1500;
     const player = {
       id, name,
-      chips: startingStack || this.defaultStack || 1500,
+      chips,
       hand: [],
       bet: 0,
-      folded: false,
+      totalBet: 0,
+      folded: this.phase !== 'waiting', // no cards this hand: dealt in at the next one
       allIn: false,
       sitOut: false,
+      sitOutNextHand: false,
+      waitingForBB: false,  // back from sitting out without posting what they missed
+      orbitsAway: 0,
+      missedBlinds: null, // 'small' or 'both' — owed when they're dealt in again
+      kicked: false,      // removed by the host mid-hand; the seat goes at the next deal
+      runItTwice: false,  // agrees to run all-in boards twice
+      muck: true,         // throw away losing hands at showdown rather than show them
+      straddle: false,    // straddles when under the gun, if the table allows it
+      timeBank: this.timeBank.seconds,
       connected: true,
-      buyIns: 1,
+      buyIns: 1,          // the first buy-in and every rebuy
+      addOns: 0,
+      buyInTotal: chips,
+      clientSeed: '',
       emoji: emoji || '🎭',
-      seatIndex: this.players.length
+      bot,
+      seatIndex: this.freeSeat()
     };
-    this.players.push(player);
+    this.seatPlayer(player);
     this.addLog(`${name} joined the table.`);
     return { success: true, seatIndex: player.seatIndex };
   }
 
+  freeSeat() {
+    const taken = new Set(this.players.map(p => p.seatIndex));
+    let seat = 0;
+    while (taken.has(seat)) seat++;
+    return seat;
+  }
+
+  // Keep this.players in seat order so action goes round the table
+  seatPlayer(player) {
+    let idx = this.players.findIndex(p => p.seatIndex > player.seatIndex);
+    if (idx === -1) idx = this.players.length;
+    this.players.splice(idx, 0, player);
+    if (idx <= this.dealerIndex) this.dealerIndex++;
+    if (idx <= this.currentIndex) this.currentIndex++;
+  }
+
+  // Give up a seat for good. Only between hands, so no pot is affected.
+  leaveTable(id, reason = 'left the table') {
+    const idx = this.players.findIndex(p => p.id === id);
+    if (idx === -1) return { error: 'Not seated' };
+    if (['preflop', 'flop', 'turn', 'river'].includes(this.phase)) return { error: 'Wait until the hand is over' };
+    return this.unseat(idx, reason);
+  }
+
+  // Take a seat out of this.players, keeping the button and the turn on the
+  // same players. Mid-hand only for someone who wasn't dealt in.
+  unseat(idx, reason) {
+    const [p] = this.players.splice(idx, 1);
+    if (idx <= this.dealerIndex) this.dealerIndex--;
+    if (idx < this.currentIndex) this.currentIndex--;
+    this.departed.push({ ...this.ledgerLine(p), left: true });
+    this.addLog(`${p.name} ${reason}.`);
+    return { success: true, player: p };
+  }
+
+  // The host removing a player. Between hands, or if they weren't dealt in,
+  // the seat is freed at once; otherwise they're folded when the action
+  // reaches them and the seat goes at the next deal.
+  kickPlayer(id) {
+    const idx = this.players.findIndex(p => p.id === id);
+    if (idx === -1) return { error: 'Not seated' };
+    const p = this.players[idx];
+    const dealtIn = ['preflop', 'flop', 'turn', 'river'].includes(this.phase) && this.inHandPlayers().includes(p);
+    if (!dealtIn) return this.unseat(idx, 'was removed by the host');
+    p.kicked = true;
+    p.connected = false;
+    p.preAction = null;
+    return { success: true, pending: true };
+  }
+
+  // Sit out now, or with nextHand once the current hand is over. Sitting out
+  // mid-hand makes the player away for the rest of it (see autoActIfAway).
+  sitOut(id, { nextHand = false } = {}) {
+    const p = this.players.find(p => p.id === id);
+    if (!p) return { error: 'Not seated' };
+    const dealtIn = ['preflop', 'flop', 'turn', 'river'].includes(this.phase) && this.inHandPlayers().includes(p);
+    if (nextHand && dealtIn) {
+      p.sitOutNextHand = true;
+      return { success: true, pending: true };
+    }
+    if (!p.sitOut) this.addLog(`${p.name} sits out.`);
+    p.sitOut = true;
+    p.sitOutNextHand = false;
+    p.waitingForBB = false;
+    return { success: true };
+  }
+
+  // Back in from the next hand. Anyone who owes missed blinds either posts
+  // them (postBlind) or waits for the big blind to reach them — and can
+  // still choose to post while waiting.
+  sitIn(id, { postBlind = false } = {}) {
+    const p = this.players.find(p => p.id === id);
+    if (!p) return { error: 'Not seated' };
+    if (!p.sitOut && !p.sitOutNextHand && !p.waitingForBB) return { error: 'Not sitting out' };
+    p.sitOutNextHand = false;
+    p.waitingForBB = !!p.missedBlinds && !postBlind;
+    if (p.sitOut) {
+      p.sitOut = false;
+      p.orbitsAway = 0;
+      this.addLog(p.waitingForBB ? `${p.name} is back, waiting for the big blind.` : `${p.name} is back.`);
+    }
+    return { success: true, waitingForBB: p.waitingForBB };
+  }
+
+  // Sitting out or disconnected. Bots are never away.
+  isAway(p) {
+    return p.sitOut || !p.connected;
+  }
+
   removePlayer(id) {
     const p = this.players.find(p => p.id === id);
     if (p) {
@@ -132,6 +258,118 @@ class PokerGame {
     if (p) { p.connected = true; this.addLog(`${p.name} reconnected.`); }
   }
 
+  // Rebuy for a busted player. Only allowed between hands (or once folded)
+  // and within the room's rebuy window and limit.
+  rebuy(id, settings = {}) {
+    const p = this.players.find(p => p.id === id);
+    if (!p) return { error: 'Not seated' };
+    if (!settings.allowRebuy) return { error: 'Rebuys are disabled' };
+    if (p.chips > 0) return { error: 'Rebuy is only for busted players — use add-on' };
+    if (settings.maxRebuys && (p.buyIns || 1) - 1 >= settings.maxRebuys) {
+      return { error: `Rebuy limit reached (${settings.maxRebuys})` };
+    }
+    if (settings.rebuyUntilHand && this.handNumber >= settings.rebuyUntilHand) {
+      return { error: `Rebuys closed after hand #${settings.rebuyUntilHand}` };
+    }
+    const amount = settings.rebuyAmount || settings.startingStack || this.defaultStack;
+    const check = this.checkBuyIn(p, amount);
+    if (check.error) return check;
+    this.creditBuyIn(p, amount);
+    p.buyIns = (p.buyIns || 1) + 1;
+    this.addLog(`${p.name} rebuys for $${amount}.`);
+    return { success: true, amount };
+  }
+
+  // Add-on: top up a live stack with the room's add-on amount. Open whenever
+  // the room sets one, whatever the rebuy rules, and not counted as a rebuy.
+  addOn(id, settings = {}) {
+    const p = this.players.find(p => p.id === id);
+    if (!p) return { error: 'Not seated' };
+    const amount = settings.addOnAmount;
+    if (!amount) return { error: 'Add-ons are disabled' };
+    if (p.chips <= 0) return { error: 'You are busted — use rebuy' };
+    const check = this.checkBuyIn(p, amount);
+    if (check.error) return check;
+    this.creditBuyIn(p, amount);
+    p.addOns = (p.addOns || 0) + 1;
+    this.addLog(`${p.name} adds on $${amount}.`);
+    return { success: true, amount };
+  }
+
+  checkBuyIn(p, amount) {
+    if (!(amount > 0)) return { error: 'Invalid buy-in amount' };
+    const inHand = ['preflop', 'flop', 'turn', 'river'].includes(this.phase) && !p.folded;
+    if (inHand) return { error: 'Wait until you are out of the hand' };
+    return { success: true };
+  }
+
+  creditBuyIn(p, amount) {
+    p.chips += amount;
+    p.buyInTotal = (p.buyInTotal || 0) + amount;
+  }
+
+  // Net result per player for settling up at the end of a game, including
+  // those who left with their chips along the way
+  getLedger() {
+    return [...this.players.map(p => this.ledgerLine(p)), ...this.departed];
+  }
+
+  ledgerLine(p) {
+    return {
+      id: p.id,
+      name: p.name,
+      emoji: p.emoji || '🎭',
+      buyIns: p.buyIns || 1,
+      addOns: p.addOns || 0,
+      buyInTotal: p.buyInTotal || 0,
+      chips: p.chips,
+      net: p.chips - (p.buyInTotal || 0)
+    };
+  }
+
+  setClientSeed(id, seed) {
+    const p = this.players.find(p => p.id === id);
+    if (!p) return { error: 'Not seated' };
+    p.clientSeed = String(seed || '').slice(0, 64);
+    return { success: true };
+  }
+
+  // Deterministic decks for tests and simulations: each hand's server seed is
+  // the hash of the last, starting from `seed`. Never use this for real play —
+  // a revealed seed gives away the next one.
+  seedDecks(seed) {
+    this.seeded = true;
+    this.nextServerSeed = hashSeed(String(seed));
+  }
+
+  // Deal the next hand from a fixed order (scripted hands in tests). Hole
+  // cards go seat by seat, all of a seat's cards at once, then flop, turn and river.
+  stackDeck(cards) {
+    this.stacked = cards;
+  }
+
+  // The game is over: every hand played so far can be checked
+  revealSeeds() {
+    this.seedsRevealedThrough = this.handRecord ? this.deals - 1 : this.deals;
+  }
+
+  // Public fairness info. The server seed stays secret until the game is over.
+  getFairnessState() {
+    const f = this.fairness;
+    const handOver = this.phase === 'waiting' || this.phase === 'showdown';
+    const revealed = handOver && this.lastHand?.handNumber === f?.nonce && seedRevealed(this.lastHand, this.seedsRevealedThrough);
+    return {
+      nextCommitment: hashSeed(this.nextServerSeed),
+      hand: f ? {
+        handNumber: f.nonce,
+        commitment: f.commitment,
+        clientSeed: f.clientSeed,
+        deckHash: f.deckHash,
+        serverSeed: revealed ? f.serverSeed : null
+      } : null
+    };
+  }
+
   canStart() {
     return this.activePlayers().length >= 2 && (this.phase === 'waiting' || this.phase === 'showdown');
   }
@@ -141,77 +379,373 @@ class PokerGame {
   }
 
   inHandPlayers() {
-    return this.players.filter(p => !p.folded && p.hand.length === 2);
+    return this.players.filter(p => !p.folded && p.hand.length > 0);
   }
 
   startHand(settings = {}) {
+    if (this.paused) return { error: 'The game is paused' };
+    const kicked = this.players.filter(p => p.kicked).map(p => {
+      this.leaveTable(p.id, 'was removed by the host');
+      return { id: p.id, name: p.name, chips: p.chips, kicked: true };
+    });
+    for (const p of this.players) {
+      if (p.sitOutNextHand) this.sitOut(p.id);
+    }
+    const removed = [...kicked, ...this.removeAbsent(settings.sitOutOrbits)];
+    this.lastRemoved = removed;
     const active = this.activePlayers();
-    if (active.length < 2) return { error: 'Need at least 2 players' };
+    if (active.length < 2) return { error: 'Need at least 2 players', removed };
 
     this.handNumber++;
+    this.deals++;
     // Apply settings if provided
     if (settings.smallBlind) this.SMALL_BLIND = settings.smallBlind;
     if (settings.bigBlind)   this.BIG_BLIND   = settings.bigBlind;
-    this.deck = newDeck();
+    if (settings.ante !== undefined) this.ANTE = settings.ante;
+    if (ANTE_TYPES.includes(settings.anteType)) this.anteType = settings.anteType;
+    if (settings.straddle !== undefined) this.allowStraddle = !!settings.straddle;
+    if (settings.bombPotAnte >= 0) this.bombPotAnte = settings.bombPotAnte;
+    if (settings.bombPotEvery >= 0) this.bombPotEvery = settings.bombPotEvery;
+    if (isVariant(settings.variant)) this.variant = getVariant(settings.variant);
+    if (BETTING_STRUCTURES.includes(settings.bettingStructure)) this.bettingStructure = settings.bettingStructure;
+    if (settings.raiseCap) this.raiseCap = settings.raiseCap;
+    if (settings.runItTwice !== undefined) this.allowRunItTwice = !!settings.runItTwice;
+    if (settings.timeBank >= 0) {
+      this.timeBank = {
+        seconds: settings.timeBank,
+        refill: settings.timeBankRefill ?? this.timeBank.refill,
+        everyHands: settings.timeBankRefillHands ?? this.timeBank.everyHands
+      };
+    }
+    this.refillTimeBanks();
     this.community = [];
     this.pot = 0;
     this.sidePots = [];
     this.callAmount = this.BIG_BLIND;
     this.minRaise = this.BIG_BLIND;
+    this.raisesThisRound = 1; // the big blind counts as the opening bet
     this.actedThisRound = new Set();
+    this.actedAt = {};
     this.roundBets = {};
     this.lastAction = null;
+    this.runningOut = false;
+    this.runTwice = false;
+    this.board2 = null;
+    this.equity = null;
+    this.lastAggressor = null;
+    this.shown = {};
+    this.rabbit = null;
+    this.straddle = 0;
+    this.bombPot = this.bombPotNext || (this.bombPotEvery > 0 && this.handNumber % this.bombPotEvery === 0);
+    this.bombPotNext = false;
 
     // Reset players
     for (const p of this.players) {
       p.hand = [];
       p.bet = 0;
-      p.folded = p.chips <= 0 || !p.connected || p.sitOut;
+      p.totalBet = 0;
+      p.folded = p.chips <= 0 || !p.connected || p.sitOut || p.waitingForBB;
       p.allIn = false;
+      p.preAction = null;
     }
+    this.dealInWaiting();
 
-    // Advance dealer
-    this.dealerIndex = this.nextActiveIndex(this.dealerIndex, 1);
+    // A bomb pot has no blinds, so the button stays where it is
+    const { sbIdx, bbIdx } = this.bombPot && this.bbSeat !== -1 ? this.holdPositions() : this.movePositions();
+
+    // Shuffle from the seed committed to last hand plus the dealt players' seeds
+    const serverSeed = this.nextServerSeed;
+    this.nextServerSeed = this.seeded ? hashSeed(serverSeed) : newServerSeed();
+    const clientSeed = combineClientSeeds(this.players.filter(p => !p.folded).map(p => p.clientSeed));
+    this.deck = this.stacked
+      ? stackedDeck(this.stacked, this.variant.ranks)
+      : newDeck(createRng(serverSeed, clientSeed, this.handNumber), this.variant.ranks);
+    this.stacked = null;
+    this.fairness = {
+      variant: this.variant.id,
+      serverSeed,
+      commitment: hashSeed(serverSeed),
+      clientSeed,
+      nonce: this.handNumber,
+      deckHash: deckHash(this.deck)
+    };
 
     // Deal cards
     for (const p of this.players) {
-      if (!p.folded) p.hand = [this.deck.pop(), this.deck.pop()];
+      if (!p.folded) p.hand = Array.from({ length: this.variant.holeCards }, () => this.deck.pop());
+    }
+
+    this.handRecord = {
+      roomId: this.roomId,
+      handNumber: this.handNumber,
+      deal: this.deals,
+      startedAt: Date.now(),
+      endedAt: null,
+      smallBlind: this.SMALL_BLIND,
+      bigBlind: this.BIG_BLIND,
+      ante: this.ANTE,
+      variant: this.variant.id,
+      bettingStructure: this.bettingStructure,
+      buttonSeat: this.buttonSeat,
+      anteType: this.anteType,
+      bombPot: this.bombPot,
+      seats: this.players.filter(p => !p.folded).map(p => ({
+        seat: p.seatIndex, id: p.id, name: p.name, chips: p.chips, cards: p.hand
+      })),
+      events: [],
+      board: [],
+      results: []
+    };
+
+    this.addLog(`--- Hand #${this.handNumber} (${this.variant.name}) --- Dealer: ${this.players[this.dealerIndex]?.name || 'dead button'}`);
+    if (this.bombPot) return { ...this.startBombPot(), success: true, removed };
+
+    // Antes are dead money: they go in the pot but don't count toward the call
+    if (this.ANTE > 0 && this.anteType === 'each') {
+      this.players.forEach((p, idx) => { if (!p.folded) this.postAnte(idx, this.ANTE); });
+      this.addLog(`Antes $${this.ANTE}`);
     }
 
-    // Blinds
-    const sbIdx = this.nextActiveIndex(this.dealerIndex, 1);
-    const bbIdx = this.nextActiveIndex(sbIdx, 1);
-    this.postBlind(sbIdx, this.SMALL_BLIND, 'SB');
+    // Blinds. A dead small blind is simply not posted.
+    if (sbIdx !== -1) {
+      this.postBlind(sbIdx, this.SMALL_BLIND, 'SB');
+      this.addLog(`${this.players[sbIdx].name} posts $${this.SMALL_BLIND} (SB)`);
+    }
     this.postBlind(bbIdx, this.BIG_BLIND, 'BB');
+    this.addLog(`${this.players[bbIdx].name} posts $${this.BIG_BLIND} (BB)`);
+    // A big blind ante comes out of what's left after the blind
+    if (this.ANTE > 0 && this.anteType === 'big-blind' && this.players[bbIdx].chips > 0) {
+      const amount = this.postAnte(bbIdx, this.ANTE);
+      this.addLog(`${this.players[bbIdx].name} posts the $${amount} big blind ante`);
+    }
+    const straddleIdx = this.straddleIndex(bbIdx);
+    this.postMissedBlinds(sbIdx, bbIdx);
 
     this.phase = 'preflop';
-    this.currentIndex = this.nextActiveIndex(bbIdx, 1);
-    this.addLog(`--- Hand #${this.handNumber} --- Dealer: ${this.players[this.dealerIndex].name}`);
-    this.addLog(`${this.players[sbIdx].name} posts $${this.SMALL_BLIND} (SB)`);
-    this.addLog(`${this.players[bbIdx].name} posts $${this.BIG_BLIND} (BB)`);
+    this.currentIndex = bbIdx;
+    if (straddleIdx !== -1) this.postStraddle(straddleIdx);
+    this.currentIndex = this.findNextToAct();
+    if (this.currentIndex === -1) {
+      // Blinds and antes put everyone all-in
+      this.beginRunout(0);
+      return { success: true, advance: 'runout', removed };
+    }
+    return { success: true, removed };
+  }
 
+  // ─── STRADDLES AND BOMB POTS ───────────────────────────────────────────────
+
+  // The player under the gun straddles if the table allows it, they asked
+  // to and they can cover it. Not heads-up, in fixed-limit, or from a player
+  // posting missed blinds this hand. Returns their index or -1.
+  straddleIndex(bbIdx) {
+    if (!this.allowStraddle || this.bettingStructure === 'fixed-limit') return -1;
+    if (this.players.filter(p => !p.folded).length < 3) return -1;
+    const idx = this.nextSeatIndex(this.players[bbIdx].seatIndex, p => !p.folded);
+    const p = this.players[idx];
+    return p.straddle && !p.missedBlinds && p.chips > this.BIG_BLIND * 2 ? idx : -1;
+  }
+
+  // A live blind of twice the big blind. It's the bet to call and the size
+  // of the minimum raise, and the straddler acts last preflop.
+  postStraddle(idx) {
+    const p = this.players[idx];
+    this.straddle = this.BIG_BLIND * 2;
+    this.postBlind(idx, this.straddle, 'straddle');
+    this.addLog(`${p.name} straddles $${this.straddle}`);
+    this.callAmount = this.straddle;
+    this.minRaise = this.straddle;
+    this.raisesThisRound = 2;
+    this.currentIndex = idx;
+  }
+
+  // Bomb pot: everyone antes, nobody posts a blind and the hand goes
+  // straight to the flop. Missed blinds stay owed until the next hand.
+  startBombPot() {
+    const ante = this.bombPotAnte || this.BIG_BLIND * 2;
+    this.players.forEach((p, idx) => { if (!p.folded) this.postAnte(idx, ante); });
+    this.addLog(`💣 Bomb pot! Everyone antes $${ante}`);
+    this.phase = 'preflop';
+    return this.nextStreet();
+  }
+
+  // Between hands the host can call (or call off) a bomb pot for the next deal
+  callBombPot(on = true) {
+    if (['preflop', 'flop', 'turn', 'river'].includes(this.phase)) return { error: 'Wait for the hand to finish' };
+    this.bombPotNext = !!on;
+    if (on) this.addLog('💣 Next hand is a bomb pot.');
     return { success: true };
   }
 
+  setStraddle(id, on) {
+    const p = this.players.find(pl => pl.id === id);
+    if (!p) return { error: 'Player not found' };
+    p.straddle = !!on;
+    return { success: true };
+  }
+
+  // Time banks top up every few hands, never past the table's maximum
+  refillTimeBanks() {
+    const { seconds, refill, everyHands } = this.timeBank;
+    const due = everyHands > 0 && this.handNumber % everyHands === 0;
+    for (const p of this.players) {
+      p.timeBank = Math.min(seconds, (p.timeBank ?? seconds) + (due ? refill : 0));
+    }
+  }
+
+  // Players waiting for the big blind are dealt in when it reaches them —
+  // or straight away on a fresh table or one that can't start without them
+  dealInWaiting() {
+    const waiting = p => p.waitingForBB && p.chips > 0 && p.connected && !p.sitOut;
+    const dealIn = p => { p.folded = false; p.waitingForBB = false; p.missedBlinds = null; };
+    if (this.bbSeat === -1 || this.players.filter(p => !p.folded).length < 2) {
+      this.players.filter(waiting).forEach(dealIn);
+      return;
+    }
+    const next = this.players[this.nextSeatIndex(this.bbSeat, p => !p.folded || waiting(p))];
+    if (waiting(next)) dealIn(next);
+  }
+
+  // Away for sitOutOrbits orbits (0 = never) loses the seat. Between hands only.
+  removeAbsent(orbits) {
+    if (!orbits) return [];
+    return this.players
+      .filter(p => this.isAway(p) && p.orbitsAway >= orbits)
+      .map(p => {
+        this.leaveTable(p.id, `was removed after sitting out ${orbits} orbit${orbits === 1 ? '' : 's'}`);
+        return { id: p.id, name: p.name, chips: p.chips };
+      });
+  }
+
+  // Dead-button rule: the big blind moves on exactly one dealt seat each hand,
+  // last hand's big blind seat posts the small blind and the button goes to
+  // last hand's small blind seat — even when whoever sat there has busted,
+  // left or is sitting out, so nobody skips a blind. Heads-up the button posts
+  // the small blind and acts first preflop. Returns player indexes; sbIdx is
+  // -1 for a dead small blind.
+  movePositions() {
+    const dealt = p => !p.folded;
+    const headsUp = this.players.filter(dealt).length === 2;
+    const at = seat => this.players.findIndex(p => p.seatIndex === seat);
+    const seatOf = idx => this.players[idx].seatIndex;
+    let buttonSeat = -1, sbIdx = -1, bbIdx = -1;
+
+    if (this.bbSeat !== -1 && !headsUp) {
+      bbIdx = this.nextSeatIndex(this.bbSeat, dealt);
+      buttonSeat = this.sbSeat;
+      const sb = at(this.bbSeat);
+      if (sb !== -1 && dealt(this.players[sb])) sbIdx = sb;
+      if (seatOf(bbIdx) === buttonSeat) bbIdx = -1; // too many seats changed to follow on
+      else if (sbIdx === -1 && this.owesBlinds(this.players[sb]) && !this.players[sb].missedBlinds) {
+        this.players[sb].missedBlinds = 'small';
+      }
+    } else if (this.bbSeat !== -1) {
+      bbIdx = this.nextSeatIndex(this.bbSeat, dealt);
+      sbIdx = this.nextSeatIndex(seatOf(bbIdx), dealt);
+      buttonSeat = seatOf(sbIdx);
+    }
+    if (bbIdx === -1) {
+      // First hand: plain rotation from the last button
+      const button = this.nextSeatIndex(this.buttonSeat, dealt);
+      buttonSeat = seatOf(button);
+      sbIdx = headsUp ? button : this.nextSeatIndex(buttonSeat, dealt);
+      bbIdx = this.nextSeatIndex(seatOf(sbIdx), dealt);
+    }
+
+    if (this.bbSeat !== -1) this.passBigBlind(bbIdx);
+    this.buttonSeat = buttonSeat;
+    this.sbSeat = sbIdx !== -1 ? seatOf(sbIdx) : this.bbSeat;
+    this.bbSeat = seatOf(bbIdx);
+    const button = at(buttonSeat);
+    this.dealerIndex = button !== -1 && dealt(this.players[button]) ? button : -1;
+    return { sbIdx, bbIdx };
+  }
+
+  // Same positions as last hand, for a hand with no blinds to move on
+  holdPositions() {
+    const button = this.players.findIndex(p => p.seatIndex === this.buttonSeat);
+    this.dealerIndex = button !== -1 && !this.players[button].folded ? button : -1;
+    return { sbIdx: -1, bbIdx: -1 };
+  }
+
+  // Seated players with chips the blinds passed by while they were out owe
+  // them on their return: the big blind (plus a dead small) or just the small.
+  owesBlinds(p) {
+    return !!p && p.chips > 0 && p.folded;
+  }
+
+  // The big blind moving past a seat is one orbit: mark missed blinds and
+  // count orbits away for removeAbsent()
+  passBigBlind(bbIdx) {
+    const n = this.players.length;
+    const from = this.players.findIndex(p => p.seatIndex > this.bbSeat);
+    for (let i = from === -1 ? 0 : from; i !== bbIdx; i = (i + 1) % n) {
+      const p = this.players[i];
+      if (this.owesBlinds(p)) p.missedBlinds = 'both';
+      if (this.isAway(p)) p.orbitsAway = (p.orbitsAway || 0) + 1;
+    }
+  }
+
+  // Returning players post what they missed unless they're in the blinds
+  // anyway: a live big blind and the small blind as dead money.
+  postMissedBlinds(sbIdx, bbIdx) {
+    this.players.forEach((p, idx) => {
+      if (p.folded || !p.missedBlinds) return;
+      const owed = p.missedBlinds;
+      p.missedBlinds = null;
+      if (idx === sbIdx || idx === bbIdx) return;
+      if (owed === 'both') {
+        this.postBlind(idx, this.BIG_BLIND, 'BB');
+        this.addLog(`${p.name} posts $${this.BIG_BLIND} (missed BB)`);
+      }
+      if (p.chips > 0) {
+        this.postDead(idx, this.SMALL_BLIND, 'SB');
+        this.addLog(`${p.name} posts $${this.SMALL_BLIND} dead (missed SB)`);
+      }
+    });
+  }
+
   postBlind(idx, amount, type) {
     const p = this.players[idx];
     const actual = Math.min(amount, p.chips);
     p.chips -= actual;
     p.bet += actual;
+    p.totalBet += actual;
     this.pot += actual;
     this.roundBets[p.id] = (this.roundBets[p.id] || 0) + actual;
     if (p.chips === 0) p.allIn = true;
+    this.record('blind', { playerId: p.id, blind: type, amount: actual });
+  }
+
+  postAnte(idx, amount) {
+    const actual = this.postDead(idx, amount);
+    this.record('ante', { playerId: this.players[idx].id, amount: actual });
+    return actual;
+  }
+
+  // Dead money goes in the pot without counting toward the player's bet.
+  // With a blind type it's recorded as a dead blind.
+  postDead(idx, amount, blind) {
+    const p = this.players[idx];
+    const actual = Math.min(amount, p.chips);
+    p.chips -= actual;
+    p.totalBet += actual;
+    this.pot += actual;
+    if (p.chips === 0) p.allIn = true;
+    if (blind) this.record('blind', { playerId: p.id, blind, amount: actual, dead: true });
+    return actual;
   }
 
-  nextActiveIndex(from, step = 1) {
+  // Index of the first player clockwise after a seat number (which may be
+  // empty) that matches pred, or -1
+  nextSeatIndex(seat, pred) {
     const n = this.players.length;
-    let i = ((from + step) % n + n) % n;
-    let count = 0;
-    while ((this.players[i].folded || this.players[i].allIn) && count < n) {
-      i = ((i + step) % n + n) % n;
-      count++;
+    const start = this.players.findIndex(p => p.seatIndex > seat);
+    for (let k = 0; k < n; k++) {
+      const i = ((start === -1 ? 0 : start) + k) % n;
+      if (pred(this.players[i])) return i;
     }
-    return i;
+    return -1;
   }
 
   getCurrentPlayer() {
@@ -219,11 +753,111 @@ class PokerGame {
     return this.players[this.currentIndex];
   }
 
+  // Fixed-limit bet size: small bet preflop and flop, big bet on turn and river
+  fixedBetSize() {
+    return this.phase === 'turn' || this.phase === 'river' ? this.BIG_BLIND * 2 : this.BIG_BLIND;
+  }
+
+  // Legal betting range for a player under the table's betting structure.
+  // Raise amounts are "raise to" totals for the street, like p.bet.
+  getBetLimits(p) {
+    const toCall = Math.max(0, this.callAmount - p.bet);
+    const allInTo = p.bet + p.chips;
+    let minRaiseTo = this.callAmount + this.minRaise;
+    let maxRaiseTo = allInTo;
+    // Someone who has acted only gets to raise again after a full raise —
+    // one bet, or short all-ins adding up to one — since their turn
+    const reopened = !(p.id in this.actedAt) || this.callAmount - this.actedAt[p.id] >= this.minRaise;
+    let canRaise = allInTo > this.callAmount && reopened;
+
+    if (this.bettingStructure === 'pot-limit') {
+      // Call first, then raise by the size of the pot
+      maxRaiseTo = Math.min(allInTo, this.callAmount + this.pot + toCall);
+    } else if (this.bettingStructure === 'fixed-limit') {
+      minRaiseTo = maxRaiseTo = Math.min(allInTo, this.callAmount + this.fixedBetSize());
+      if (this.raisesThisRound >= this.raiseCap) canRaise = false;
+    }
+    minRaiseTo = Math.min(minRaiseTo, maxRaiseTo);
+
+    return {
+      structure: this.bettingStructure,
+      toCall: Math.min(toCall, p.chips),
+      canCheck: toCall === 0,
+      canRaise,
+      minRaiseTo,
+      maxRaiseTo,
+      // Shoving is fine when it's only a call, otherwise it must fit the raise limits
+      canAllIn: p.chips > 0 && (allInTo <= this.callAmount || (canRaise && allInTo <= maxRaiseTo)),
+      raisesLeft: this.bettingStructure === 'fixed-limit' ? Math.max(0, this.raiseCap - this.raisesThisRound) : null
+    };
+  }
+
+  // A raise of at least the last raise size reopens the betting; a short
+  // all-in only moves the call amount, and the players who have already
+  // acted may call or fold it (see getBetLimits).
+  applyRaise(to) {
+    const increment = to - this.callAmount;
+    if (increment >= this.minRaise) {
+      this.minRaise = increment;
+      this.raisesThisRound++;
+      this.actedThisRound.clear();
+    }
+    this.callAmount = to;
+    this.cancelStalePreActions();
+  }
+
+  // ─── PRE-ACTIONS ───────────────────────────────────────────────────────────
+  // Queued before the player's turn and played the moment it comes round.
+  // check-fold and call-any hold whatever happens; check and call are for
+  // the bet as it stood when queued.
+
+  setPreAction(id, type) {
+    const p = this.players.find(p => p.id === id);
+    if (!p) return { error: 'Not seated' };
+    if (type == null) {
+      p.preAction = null;
+      return { success: true };
+    }
+    if (!PRE_ACTIONS.includes(type)) return { error: 'Unknown pre-action' };
+    const betting = ['preflop', 'flop', 'turn', 'river'].includes(this.phase) && !this.runningOut;
+    if (!betting || p.folded || p.allIn || !p.hand.length) return { error: 'Not in the hand' };
+    if (this.getCurrentPlayer() === p) return { error: 'It is already your turn' };
+    const toCall = this.callAmount - p.bet;
+    if (type === 'check' && toCall > 0) return { error: 'Cannot check, there is a bet to call' };
+    if (type === 'call' && toCall <= 0) return { error: 'Nothing to call' };
+    p.preAction = { type, callAmount: this.callAmount };
+    return { success: true };
+  }
+
+  cancelStalePreActions() {
+    for (const p of this.players) {
+      const pre = p.preAction;
+      if (pre && (pre.type === 'check' || pre.type === 'call') && pre.callAmount !== this.callAmount) p.preAction = null;
+    }
+  }
+
+  // Returns the action's result, or null if the player has to decide
+  runPreAction() {
+    const p = this.getCurrentPlayer();
+    const pre = p?.preAction;
+    if (!pre) return null;
+    p.preAction = null;
+    const { canCheck } = this.getBetLimits(p);
+    let action = pre.type;
+    if (pre.type === 'check-fold') action = canCheck ? 'check' : 'fold';
+    else if (pre.type === 'call-any') action = canCheck ? 'check' : 'call';
+    else if (pre.callAmount !== this.callAmount) return null;
+    return this.applyAction(p.id, action);
+  }
+
   applyAction(playerId, action, amount = 0) {
     const p = this.players[this.currentIndex];
     if (!p || p.id !== playerId) return { error: 'Not your turn' };
+    if (this.paused) return { error: 'The game is paused' };
 
     const toCall = this.callAmount - p.bet;
+    const facing = this.callAmount;
+    const chipsBefore = p.chips;
 
     switch (action) {
       case 'fold':
@@ -240,6 +874,7 @@ class PokerGame {
         const amt = Math.min(toCall, p.chips);
         p.chips -= amt;
         p.bet += amt;
+        p.totalBet += amt;
         this.pot += amt;
         if (p.chips === 0) p.allIn = true;
         this.addLog(`${p.name} calls $${amt}.`);
@@ -247,30 +882,37 @@ class PokerGame {
       }
 
       case 'raise': {
+        // Straight off the socket: whole chips only
+        amount = Number(amount);
+        if (!Number.isInteger(amount) || amount <= 0) return { error: 'Raise to a whole number of chips' };
+        const limits = this.getBetLimits(p);
         if (amount <= this.callAmount) return { error: 'Raise must be higher than call amount' };
         if (amount > p.chips + p.bet) return { error: 'Not enough chips' };
+        if (!limits.canRaise) return { error: limits.raisesLeft === 0 ? 'Betting is capped this round' : 'The betting was not reopened — call or fold' };
+        if (amount > limits.maxRaiseTo) return { error: `Maximum raise is to $${limits.maxRaiseTo}` };
+        if (amount < limits.minRaiseTo && amount !== p.chips + p.bet) {
+          return { error: `Minimum raise is to $${limits.minRaiseTo}` };
+        }
         const extra = amount - p.bet;
         p.chips -= extra;
+        p.totalBet += extra;
         this.pot += extra;
         p.bet = amount;
-        this.callAmount = amount;
-        this.minRaise = amount - this.callAmount;
-        this.actedThisRound.clear();
+        this.applyRaise(amount);
         if (p.chips === 0) p.allIn = true;
         this.addLog(`${p.name} raises to $${amount}.`);
         break;
       }
 
       case 'allin': {
+        if (!this.getBetLimits(p).canAllIn) return { error: `All-in is over the ${this.bettingStructure} maximum — raise instead` };
         const amt = p.chips;
         p.bet += amt;
+        p.totalBet += amt;
         this.pot += amt;
         p.chips = 0;
         p.allIn = true;
-        if (p.bet > this.callAmount) {
-          this.callAmount = p.bet;
-          this.actedThisRound.clear();
-        }
+        if (p.bet > this.callAmount) this.applyRaise(p.bet);
         this.addLog(`${p.name} goes ALL IN for $${p.bet}!`);
         break;
       }
@@ -279,8 +921,13 @@ class PokerGame {
         return { error: 'Unknown action' };
     }
 
+    if (p.bet > facing) this.lastAggressor = p.id;
+    this.stopClock();
+    p.preAction = null;
     this.actedThisRound.add(playerId);
+    this.actedAt[playerId] = this.callAmount;
     this.lastAction = { playerId, action, amount };
+    this.record('action', { playerId, action, amount: chipsBefore - p.chips, to: p.bet, facing, allIn: p.allIn });
     return this.advanceTurn();
   }
 
@@ -289,11 +936,16 @@ class PokerGame {
     const stillIn = this.inHandPlayers();
     if (stillIn.length === 1) {
       const winner = stillIn[0];
-      winner.chips += this.pot;
-      this.addLog(`${winner.name} wins $${this.pot} (everyone folded)!`);
+      const won = this.pot;
+      winner.chips += won;
+      this.addLog(`${winner.name} wins $${won} (everyone folded)!`);
       this.pot = 0;
       this.phase = 'waiting';
-      return { advance: 'hand_over', winners: [{ id: winner.id, name: winner.name, amount: this.pot }] };
+      this.currentIndex = -1;
+      const winners = [{ id: winner.id, name: winner.name, amount: won }];
+      this.record('win', { playerId: winner.id, amount: won, pot: 'pot' });
+      this.finishHandRecord(winners);
+      return { advance: 'hand_over', winners };
     }
 
     // Find next to act
@@ -303,7 +955,74 @@ class PokerGame {
     }
 
     this.currentIndex = next;
-    return { advance: 'next_turn', currentPlayer: this.players[next].id };
+    return this.autoActIfAway() || this.runPreAction() || { advance: 'next_turn', currentPlayer: this.players[next].id };
+  }
+
+  // Away players check when it's free and fold otherwise, so they never hold
+  // up the table. Returns the action's result, or null if nothing was done.
+  autoActIfAway() {
+    const p = this.getCurrentPlayer();
+    if (!p || !this.isAway(p) || this.paused) return null;
+    return this.applyAction(p.id, this.getBetLimits(p).canCheck && !p.kicked ? 'check' : 'fold');
+  }
+
+  // ─── TURN CLOCK ────────────────────────────────────────────────────────────
+  // The server runs the timers; the engine keeps the deadline so every state
+  // (and so every reconnect) carries the right countdown, and charges banks.
+
+  startClock(seconds, now = Date.now()) {
+    const p = this.getCurrentPlayer();
+    this.clock = p && seconds > 0 ? { playerId: p.id, deadline: now + seconds * 1000, seconds, bankFrom: null, pausedAt: null } : null;
+    return this.clock;
+  }
+
+  // Pausing freezes the clock; resuming moves the deadline (and the start of
+  // any time bank use) on by the length of the pause, so no time is lost
+  pause(now = Date.now()) {
+    if (this.paused) return { error: 'The game is already paused' };
+    this.paused = true;
+    if (this.clock) this.clock.pausedAt = now;
+    this.addLog('Game paused.');
+    return { success: true };
+  }
+
+  resume(now = Date.now()) {
+    if (!this.paused) return { error: 'The game is not paused' };
+    this.paused = false;
+    const { clock } = this;
+    if (clock && clock.pausedAt !== null) {
+      const frozen = now - clock.pausedAt;
+      clock.deadline += frozen;
+      if (clock.bankFrom !== null) clock.bankFrom += frozen;
+      clock.pausedAt = null;
+    }
+    this.addLog('Game resumed.');
+    return { success: true };
+  }
+
+  // Base time is up: dip into the time bank, then check if free or fold
+  expireClock(now = Date.now()) {
+    const p = this.getCurrentPlayer();
+    const { clock } = this;
+    if (!p || !clock || clock.playerId !== p.id) return { error: 'No clock running' };
+    if (clock.bankFrom === null && p.timeBank > 0) {
+      Object.assign(clock, { bankFrom: now, deadline: now + p.timeBank * 1000, seconds: p.timeBank });
+      this.addLog(`${p.name} is using the time bank (${p.timeBank}s).`);
+      return { timeBank: true };
+    }
+    const action = this.getBetLimits(p).canCheck ? 'check' : 'fold';
+    this.addLog(`${p.name} ran out of time.`);
+    this.stopClock(now);
+    return { ...this.applyAction(p.id, action), timedOut: { playerId: p.id, action } };
+  }
+
+  // Charge whatever time bank was used and stop the clock
+  stopClock(now = Date.now()) {
+    const { clock } = this;
+    if (!clock) return;
+    const p = this.players.find(p => p.id === clock.playerId);
+    if (p && clock.bankFrom !== null) p.timeBank = Math.max(0, Math.floor(p.timeBank - (now - clock.bankFrom) / 1000));
+    this.clock = null;
   }
 
   findNextToAct() {
@@ -320,68 +1039,350 @@ class PokerGame {
   }
 
   nextStreet() {
+    const boardBefore = this.community.length;
     // Reset for next street
-    for (const p of this.players) p.bet = 0;
+    for (const p of this.players) {
+      p.bet = 0;
+      p.preAction = null;
+    }
     this.callAmount = 0;
     this.minRaise = this.BIG_BLIND;
+    this.raisesThisRound = 0;
     this.actedThisRound.clear();
+    this.actedAt = {};
     this.roundBets = {};
 
     if (this.phase === 'preflop') {
       this.community.push(this.deck.pop(), this.deck.pop(), this.deck.pop());
       this.phase = 'flop';
       this.addLog('--- FLOP ---');
+      this.record('board', { street: 'flop', cards: this.community.slice(0, 3) });
     } else if (this.phase === 'flop') {
       this.community.push(this.deck.pop());
       this.phase = 'turn';
       this.addLog('--- TURN ---');
+      this.record('board', { street: 'turn', cards: this.community.slice(3, 4) });
     } else if (this.phase === 'turn') {
       this.community.push(this.deck.pop());
       this.phase = 'river';
       this.addLog('--- RIVER ---');
+      this.record('board', { street: 'river', cards: this.community.slice(4, 5) });
     } else if (this.phase === 'river') {
       return this.showdown();
     }
+    this.lastAggressor = null;
+
+    // With at most one player left who isn't all-in nobody can bet. The
+    // caller deals the rest a street at a time with continueRunout().
+    if (this.inHandPlayers().filter(p => !p.allIn).length < 2) {
+      this.beginRunout(boardBefore);
+      return { advance: 'runout', phase: this.phase };
+    }
+
+    // First live seat after the button, dead or not
+    this.currentIndex = this.nextSeatIndex(this.buttonSeat, p => !p.folded && !p.allIn);
+    return this.autoActIfAway() || this.runPreAction() || { advance: 'new_street', phase: this.phase, currentPlayer: this.players[this.currentIndex].id };
+  }
 
-    this.currentIndex = this.nextActiveIndex(this.dealerIndex, 1);
-    return { advance: 'new_street', phase: this.phase, currentPlayer: this.players[this.currentIndex]?.id };
+  continueRunout() {
+    if (!this.runningOut) return { error: 'No board to run out' };
+    if (this.runTwice && this.phase === 'river' && !this.board2) return this.dealSecondBoard();
+    return this.nextStreet();
+  }
+
+  // ─── RUN-OUT ───────────────────────────────────────────────────────────────
+  // boardBefore: board cards that were out when the betting closed. The hand
+  // is run twice if the table allows it and every live player has opted in.
+  beginRunout(boardBefore) {
+    this.currentIndex = -1;
+    if (this.runningOut) return;
+    this.runningOut = true;
+    this.runoutFrom = boardBefore;
+    const live = this.inHandPlayers();
+    this.runTwice = this.allowRunItTwice && boardBefore < 5 && live.length > 1 && live.every(p => p.runItTwice);
+    if (this.runTwice) {
+      this.addLog('All players agreed to run it twice.');
+      this.record('run_twice', { players: live.map(p => p.id) });
+    }
+  }
+
+  // The second board shares the cards that were out before the run-out and
+  // is dealt in one go from what's left of the deck
+  dealSecondBoard() {
+    const cards = Array.from({ length: 5 - this.runoutFrom }, () => this.deck.pop());
+    this.board2 = [...this.community.slice(0, this.runoutFrom), ...cards];
+    this.addLog('--- SECOND BOARD ---');
+    this.record('board', { street: 'second board', board: 2, cards });
+    return { advance: 'runout', phase: this.phase, board: 2 };
+  }
+
+  setRunItTwice(id, on) {
+    const p = this.players.find(pl => pl.id === id);
+    if (!p) return { error: 'Player not found' };
+    p.runItTwice = !!on;
+    return { success: true };
+  }
+
+  // Win/tie odds for the live hands while the board is run out: the board
+  // being dealt, or the second board once the first is complete. Null when
+  // there's nothing left to come. The server works this out for each
+  // run-out street (updateEquityAsync) — it's too slow to do on every
+  // simulated hand.
+  updateEquity(opts = {}) {
+    this.equity = null;
+    const spot = this.equitySpot();
+    if (!spot) return null;
+    this.equity = { board: spot.boardNumber, ...calculateEquity(this.variant, spot.hands, spot.board, { dead: spot.dead, ...opts }) };
+    return this.equity;
+  }
+
+  // The same a slice at a time, so the table's process keeps serving other
+  // tables meanwhile. Null, and nothing kept, if the run-out has moved on by
+  // the time it's done.
+  async updateEquityAsync(opts = {}) {
+    this.equity = null;
+    const spot = this.equitySpot();
+    if (!spot) return null;
+    const at = [this.handNumber, this.community.length, this.board2];
+    const equity = await calculateEquityAsync(this.variant, spot.hands, spot.board, { dead: spot.dead, ...opts });
+    if (!this.runningOut || at[0] !== this.handNumber || at[1] !== this.community.length || at[2] !== this.board2) return null;
+    this.equity = { board: spot.boardNumber, ...equity };
+    return this.equity;
+  }
+
+  // What updateEquity works on, or null if nothing is left to come
+  equitySpot() {
+    if (!this.runningOut) return null;
+    let board = this.community;
+    let dead = [];
+    let boardNumber = 1;
+    if (this.runTwice && this.community.length === 5) {
+      if (this.board2) return null;
+      board = this.community.slice(0, this.runoutFrom);
+      dead = this.community.slice(this.runoutFrom);
+      boardNumber = 2;
+    }
+    if (board.length >= 5) return null;
+    return { board, dead, boardNumber, hands: this.inHandPlayers().map(p => ({ id: p.id, cards: p.hand })) };
+  }
+
+  // Split the hand's contributions into a main pot and side pots. Each pot
+  // lists the live players who covered it; folded chips stay in the pot.
+  buildPots() {
+    const contributors = this.players.filter(p => p.totalBet > 0);
+    const levels = [...new Set(contributors.filter(p => !p.folded).map(p => p.totalBet))].sort((a, b) => a - b);
+    const pots = [];
+    let prev = 0;
+    for (const level of levels) {
+      let amount = 0;
+      for (const p of contributors) amount += Math.max(0, Math.min(p.totalBet, level) - prev);
+      const eligible = this.players.filter(p => !p.folded && p.totalBet >= level).map(p => p.id);
+      const last = pots[pots.length - 1];
+      if (last && last.eligible.length === eligible.length) last.amount += amount;
+      else pots.push({ amount, eligible });
+      prev = level;
+    }
+    // Folded chips above the highest live contribution go to the last pot
+    let dead = 0;
+    for (const p of contributors) dead += Math.max(0, p.totalBet - prev);
+    if (dead && pots.length) pots[pots.length - 1].amount += dead;
+    return pots;
+  }
+
+  // Seats ordered clockwise starting left of the dealer — odd chips go in this order
+  seatOrderFromDealer(ids) {
+    const dist = id => {
+      const seat = this.players.find(p => p.id === id).seatIndex;
+      return ((seat - this.buttonSeat - 1) % MAX_SEATS + MAX_SEATS) % MAX_SEATS;
+    };
+    return [...ids].sort((a, b) => dist(a) - dist(b));
+  }
+
+  // Hand name as shown to players — split-pot games add the low, if any
+  describeHand(hand, board = this.community) {
+    const h = this.variant.evaluate(hand, board);
+    if (!this.variant.hiLo) return h.name;
+    return h.low ? `${h.name}, ${h.low.name}` : `${h.name}, no low`;
+  }
+
+  // Share one pot (or half of one) between tied winners. Odd chips go
+  // clockwise from the dealer.
+  awardPot(amount, ids, label, potCount, nameOf, extra = {}) {
+    const winnerIds = this.seatOrderFromDealer(ids);
+    const share = Math.floor(amount / winnerIds.length);
+    let oddChips = amount - share * winnerIds.length;
+    const tags = [extra.board && `board ${extra.board}`, extra.half].filter(Boolean);
+    const suffix = tags.length ? ` (${tags.join(', ')})` : '';
+    return winnerIds.map(id => {
+      const player = this.players.find(p => p.id === id);
+      const won = share + (oddChips-- > 0 ? 1 : 0);
+      player.chips += won;
+      this.record('win', { playerId: id, amount: won, pot: label, ...extra });
+      this.addLog(potCount > 1
+        ? `${player.name} wins $${won} from the ${label}${suffix}!`
+        : `${player.name} wins $${won}${suffix}!`);
+      return { id, name: player.name, handName: nameOf(id), amount: won };
+    });
+  }
+
+  // The last player to bet or raise on the final street shows first; with
+  // no bet, the first live seat left of the button. Then clockwise.
+  showdownOrder(ids) {
+    const order = this.seatOrderFromDealer(ids);
+    const first = Math.max(0, order.indexOf(this.lastAggressor));
+    return [...order.slice(first), ...order.slice(0, first)];
+  }
+
+  // ─── AFTER THE HAND ────────────────────────────────────────────────────────
+  // Until the next deal anyone who was dealt in can turn up some or all of
+  // their cards (indices into the hand; none given means all of them)
+  showCards(id, indices) {
+    const p = this.players.find(pl => pl.id === id);
+    if (!p) return { error: 'Player not found' };
+    if (!['waiting', 'showdown'].includes(this.phase) || !p.hand.length) return { error: 'No cards to show' };
+    let picks = [...new Set((Array.isArray(indices) ? indices : []).map(Number))]
+      .filter(i => Number.isInteger(i) && i >= 0 && i < p.hand.length);
+    if (!picks.length) picks = p.hand.map((c, i) => i);
+    this.shown[id] = [...new Set([...(this.shown[id] || []), ...picks])].sort((a, b) => a - b);
+    this.addLog(`${p.name} shows ${picks.map(i => p.hand[i].r + p.hand[i].s).join(' ')}.`);
+    return { success: true };
+  }
+
+  // The board cards that would have come after a hand won without a
+  // showdown — the next ones off the deck, which isn't touched until the
+  // next shuffle
+  rabbitHunt() {
+    if (this.phase !== 'waiting' || !this.lastHand || this.lastHand.handNumber !== this.handNumber) {
+      return { error: 'No hand to hunt' };
+    }
+    if (this.community.length >= 5) return { error: 'The board is complete' };
+    if (!this.rabbit) {
+      this.rabbit = this.deck.slice(-(5 - this.community.length)).reverse();
+      this.addLog(`Rabbit hunt: ${this.rabbit.map(c => c.r + c.s).join(' ')}`);
+    }
+    return { success: true, cards: this.rabbit };
+  }
+
+  setMuck(id, on) {
+    const p = this.players.find(pl => pl.id === id);
+    if (!p) return { error: 'Player not found' };
+    p.muck = !!on;
+    return { success: true };
+  }
+
+  // One pot (or one board's share of it) between the hands still in.
+  // Hi-lo: the best qualifying low takes half, the odd chip stays with the
+  // high. With no qualifying low the high hand scoops.
+  awardBoard(amount, contenders, hands, label, potCount, extra) {
+    const bestScore = Math.max(...contenders.map(id => hands[id].score));
+    const highIds = contenders.filter(id => hands[id].score === bestScore);
+    const highName = id => hands[id].name;
+    const lowIds = contenders.filter(id => hands[id].low);
+    if (!this.variant.hiLo || !lowIds.length) return this.awardPot(amount, highIds, label, potCount, highName, extra);
+    const bestLow = Math.min(...lowIds.map(id => hands[id].low.score));
+    const lowAmount = Math.floor(amount / 2);
+    return [
+      ...this.awardPot(amount - lowAmount, highIds, label, potCount, highName, { ...extra, half: 'high' }),
+      ...this.awardPot(lowAmount, lowIds.filter(id => hands[id].low.score === bestLow), label, potCount,
+        id => hands[id].low.name, { ...extra, half: 'low' })
+    ];
   }
 
   showdown() {
+    const ranOut = this.runningOut;
     this.phase = 'showdown';
+    this.runningOut = false;
+    this.currentIndex = -1;
+    this.equity = null;
     this.addLog('--- SHOWDOWN ---');
 
     const stillIn = this.inHandPlayers();
-    let bestScore = -1;
-    const results = [];
-
+    const boards = this.board2 ? [this.community, this.board2] : [this.community];
+    const hands = boards.map(() => ({})); // per board: id -> evaluated hand
     for (const p of stillIn) {
-      const allCards = [...p.hand, ...this.community];
-      const h = bestOf7(allCards);
-      results.push({ player: p, handResult: h });
-      this.addLog(`${p.name}: ${p.hand.map(c => c.r + c.s).join(' ')} — ${h.name}`);
-      if (h.score > bestScore) bestScore = h.score;
+      boards.forEach((board, b) => { hands[b][p.id] = this.variant.evaluate(p.hand, board); });
     }
 
-    const winners = results.filter(r => r.handResult.score === bestScore);
-    const share = Math.floor(this.pot / winners.length);
-
-    for (const { player } of winners) {
-      player.chips += share;
-      this.addLog(`${player.name} wins $${share}!`);
+    // Hands go face up in showdown order. After an all-in run-out they're
+    // all up already; otherwise a hand that can't win any part of a pot
+    // it's in is mucked, unless its player would rather show it.
+    const pots = this.buildPots();
+    const best = pots.map(() => boards.map(() => ({ high: null, low: null })));
+    for (const id of this.showdownOrder(stillIn.map(p => p.id))) {
+      const p = this.players.find(pl => pl.id === id);
+      const inPots = pots.map((pot, i) => i).filter(i => pots[i].eligible.includes(id));
+      const contends = inPots.some(i => hands.some((h, b) => {
+        const { high, low } = best[i][b];
+        return high === null || h[id].score >= high || (h[id].low && (low === null || h[id].low.score <= low));
+      }));
+      if (!ranOut && !contends && p.muck !== false) {
+        this.addLog(`${p.name} mucks.`);
+        this.record('muck', { playerId: id });
+        continue;
+      }
+      for (const i of inPots) {
+        hands.forEach((h, b) => {
+          const top = best[i][b];
+          top.high = Math.max(top.high ?? -1, h[id].score);
+          if (h[id].low) top.low = Math.min(top.low ?? Infinity, h[id].low.score);
+        });
+      }
+      this.shown[id] = p.hand.map((c, i) => i);
+      const handName = boards.map(board => this.describeHand(p.hand, board)).join(' / ');
+      this.addLog(`${p.name}: ${p.hand.map(c => c.r + c.s).join(' ')} — ${handName}`);
+      this.record('show', { playerId: id, cards: p.hand, handName });
     }
 
-    const winnerInfo = winners.map(w => ({
-      id: w.player.id,
-      name: w.player.name,
-      handName: w.handResult.name,
-      amount: share
-    }));
+    // Run twice, each pot is split in half and each board decides its half
+    // (the odd chip goes with the first board). An uncalled pot isn't split.
+    const potResults = pots.map((pot, i) => {
+      const label = i === 0 ? 'main pot' : `side pot ${i}`;
+      const uncalled = pot.eligible.length === 1;
+      const contenders = pot.eligible.filter(id => hands[0][id]);
+      const runs = uncalled ? 1 : boards.length;
+      const winners = [];
+      for (let b = 0; b < runs; b++) {
+        const amount = Math.floor(pot.amount / runs) + (b === 0 ? pot.amount % runs : 0);
+        const extra = { uncalled, ...(runs > 1 && { board: b + 1 }) };
+        winners.push(...this.awardBoard(amount, contenders, hands[b], label, pots.length, extra));
+      }
+      return { label, amount: pot.amount, winners };
+    });
 
+    // One entry per winner, summed over pots, boards and halves
+    const byId = {};
+    for (const w of potResults.flatMap(pr => pr.winners)) {
+      const t = byId[w.id] || (byId[w.id] = { id: w.id, name: w.name, handNames: [], amount: 0 });
+      t.amount += w.amount;
+      if (!t.handNames.includes(w.handName)) t.handNames.push(w.handName);
+    }
+    const winnerInfo = Object.values(byId).map(({ handNames, ...w }) => ({ ...w, handName: handNames.join(' / ') }));
+
+    this.sidePots = potResults;
     this.pot = 0;
+    this.finishHandRecord(winnerInfo, potResults);
     // Keep phase='showdown' so broadcastState reveals cards. Resets in startHand().
 
-    return { advance: 'showdown', winners: winnerInfo };
+    return { advance: 'showdown', winners: winnerInfo, pots: potResults };
+  }
+
+  record(type, data) {
+    if (this.handRecord) this.handRecord.events.push({ type, ...data });
+  }
+
+  finishHandRecord(winners, pots = []) {
+    const h = this.handRecord;
+    if (!h) return;
+    h.endedAt = Date.now();
+    h.board = [...this.community];
+    if (this.board2) h.board2 = [...this.board2];
+    h.results = winners.map(w => ({ playerId: w.id, amount: w.amount, handName: w.handName || null }));
+    h.pots = pots.map(pt => ({ label: pt.label, amount: pt.amount }));
+    h.finalStacks = this.players.map(p => ({ id: p.id, chips: p.chips }));
+    h.fairness = { ...this.fairness };
+    this.lastHand = h;
+    this.handRecord = null;
+    this.stats.recordHand(h);
   }
 
   addLog(msg) {
@@ -391,15 +1392,39 @@ class PokerGame {
 
   // Safe state to send to a specific player
   getStateFor(playerId) {
+    const viewer = this.players.find(p => p.id === playerId);
+    const inHand = viewer && !viewer.folded && ['preflop', 'flop', 'turn', 'river'].includes(this.phase);
+    // Your own cards, all-in hands once no more betting is possible, and
+    // whatever was shown at the showdown or after the hand. Cards of a hand
+    // that's only partly shown come through as null.
+    const visible = p => {
+      if (p.id === playerId || (this.runningOut && !p.folded)) return p.hand;
+      const shown = this.shown[p.id];
+      return shown ? p.hand.map((c, i) => shown.includes(i) ? c : null) : null;
+    };
     return {
       phase: this.phase,
       pot: this.pot,
       community: this.community,
+      board2: this.board2,
+      runTwice: this.runTwice,
+      equity: this.equity,
+      shown: this.shown,
+      rabbit: this.rabbit,
+      straddle: this.straddle,
+      bombPot: this.bombPot,
+      bombPotNext: this.bombPotNext,
       dealerIndex: this.dealerIndex,
+      buttonSeat: this.buttonSeat,
+      runningOut: this.runningOut,
       currentPlayerId: this.players[this.currentIndex]?.id || null,
       callAmount: this.callAmount,
       minRaise: this.minRaise,
+      variant: { id: this.variant.id, name: this.variant.name, holeCards: this.variant.holeCards, hiLo: !!this.variant.hiLo },
+      betting: inHand ? this.getBetLimits(viewer) : { structure: this.bettingStructure },
       handNumber: this.handNumber,
+      sidePots: this.sidePots,
+      fairness: this.getFairnessState(),
       players: this.players.map(p => ({
         id: p.id,
         name: p.name,
@@ -407,18 +1432,131 @@ class PokerGame {
         bet: p.bet,
         folded: p.folded,
         allIn: p.allIn,
+        missedBlinds: p.missedBlinds || null,
+        sitOut: !!p.sitOut,
+        sitOutNextHand: !!p.sitOutNextHand,
+        waitingForBB: !!p.waitingForBB,
+        orbitsAway: p.orbitsAway || 0,
+        timeBank: p.timeBank,
         connected: p.connected,
         seatIndex: p.seatIndex,
         cardCount: p.hand.length,
         buyIns: p.buyIns || 1,
+        addOns: p.addOns || 0,
+        buyInTotal: p.buyInTotal || 0,
         emoji: p.emoji || '🎭',
-        // Only reveal hand to the player themselves (or on showdown)
-        hand: (p.id === playerId || this.phase === 'showdown') ? p.hand : null
+        bot: p.bot || null,
+        runItTwice: !!p.runItTwice,
+        muck: p.muck !== false,
+        straddle: !!p.straddle,
+        clientSeed: p.clientSeed || '',
+        hand: visible(p),
+        handName: visible(p)?.every(Boolean) && !p.folded && p.hand.length && this.community.length >= 3 ? this.describeHand(p.hand) : null
       })),
+      preAction: viewer?.preAction?.type || null,
+      removedPlayers: this.lastRemoved,
+      clock: this.clock && {
+        playerId: this.clock.playerId, deadline: this.clock.deadline, seconds: this.clock.seconds, timeBank: this.clock.bankFrom !== null,
+        remaining: this.clock.pausedAt !== null ? this.clock.deadline - this.clock.pausedAt : null
+      },
+      paused: this.paused,
+      serverTime: Date.now(),
       log: this.log.slice(0, 20),
       lastAction: this.lastAction
     };
   }
+
+  // Persistable table state. A hand in progress can't survive a restart, so
+  // chips committed to it are handed back and the table resumes between hands.
+  snapshot() {
+    const inHand = ['preflop', 'flop', 'turn', 'river'].includes(this.phase);
+    return {
+      roomId: this.roomId,
+      smallBlind: this.SMALL_BLIND,
+      bigBlind: this.BIG_BLIND,
+      ante: this.ANTE,
+      anteType: this.anteType,
+      bombPotNext: this.bombPotNext,
+      variant: this.variant.id,
+      defaultStack: this.defaultStack,
+      dealerIndex: this.dealerIndex,
+      buttonSeat: this.buttonSeat,
+      sbSeat: this.sbSeat,
+      bbSeat: this.bbSeat,
+      handNumber: this.handNumber,
+      paused: this.paused,
+      log: this.log,
+      stats: this.stats.snapshot(),
+      nextServerSeed: this.nextServerSeed,
+      deals: this.deals,
+      seedsRevealedThrough: this.seedsRevealedThrough,
+      departed: this.departed,
+      players: this.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        chips: p.chips + (inHand ? p.totalBet : 0),
+        buyIns: p.buyIns,
+        addOns: p.addOns || 0,
+        buyInTotal: p.buyInTotal,
+        emoji: p.emoji,
+        seatIndex: p.seatIndex,
+        sitOut: p.sitOut,
+        sitOutNextHand: !!p.sitOutNextHand,
+        waitingForBB: !!p.waitingForBB,
+        orbitsAway: p.orbitsAway || 0,
+        timeBank: p.timeBank,
+        missedBlinds: p.missedBlinds || null,
+        kicked: !!p.kicked,
+        runItTwice: !!p.runItTwice,
+        muck: p.muck !== false,
+        straddle: !!p.straddle,
+        clientSeed: p.clientSeed,
+        bot: p.bot || null
+      }))
+    };
+  }
+
+  restore(data) {
+    this.SMALL_BLIND = data.smallBlind;
+    this.BIG_BLIND = data.bigBlind;
+    this.ANTE = data.ante || 0;
+    this.anteType = ANTE_TYPES.includes(data.anteType) ? data.anteType : 'each';
+    this.bombPotNext = !!data.bombPotNext;
+    this.variant = getVariant(data.variant);
+    this.defaultStack = data.defaultStack;
+    this.dealerIndex = data.dealerIndex;
+    // Older snapshots only had the dealer index
+    this.buttonSeat = data.buttonSeat ?? data.players[data.dealerIndex]?.seatIndex ?? -1;
+    this.sbSeat = data.sbSeat ?? -1;
+    this.bbSeat = data.bbSeat ?? -1;
+    this.handNumber = data.handNumber;
+    this.paused = !!data.paused;
+    this.log = data.log || [];
+    this.stats = new SessionStats(data.stats);
+    this.departed = data.departed || [];
+    this.deals = data.deals || 0;
+    this.seedsRevealedThrough = data.seedsRevealedThrough || 0;
+    if (data.nextServerSeed) this.nextServerSeed = data.nextServerSeed;
+    // Nobody is connected after a restart — players reclaim seats on rejoin.
+    // Bots have no connection to lose.
+    this.players = data.players.map(p => ({
+      hand: [], bet: 0, totalBet: 0, folded: false, allIn: false,
+      ...p,
+      connected: !!p.bot
+    }));
+    this.phase = 'waiting';
+    this.pot = 0;
+    this.community = [];
+    this.currentIndex = -1;
+    this.runningOut = false;
+    this.board2 = null;
+    this.equity = null;
+    this.shown = {};
+    this.rabbit = null;
+    this.straddle = 0;
+    this.bombPot = false;
+    this.clock = null;
+  }
 }
 
-module.exports = { PokerGame, bestOf7, evalFive };
\ No newline at end of file
+module.exports = { PokerGame, ANTE_TYPES, bestOf7, evalFive, newDeck, rebuildDeck, stackedDeck };
\ No newline at end of file
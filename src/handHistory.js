@@ -0,0 +1,152 @@
+const { getVariant } = require('./variants');
+
+// ─── HAND HISTORY EXPORT ─────────────────────────────────────────────────────
+// Hand records are built by PokerGame (see startHand / record / finishHandRecord).
+// This module turns them into what we hand out over the API: a redacted JSON
+// copy and PokerStars-style text that tracking tools can import.
+
+const SUIT_LETTER = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+
+function cardText(c) {
+  return (c.r === '10' ? 'T' : c.r) + SUIT_LETTER[c.s];
+}
+
+function cardsText(cards) {
+  return `[${cards.map(cardText).join(' ')}]`;
+}
+
+// Hole cards are only public if they were shown at showdown (not mucked). The viewer,
+// if given, also sees their own.
+function redactHand(hand, viewerId = null) {
+  const shown = new Set(hand.events.filter(e => e.type === 'show').map(e => e.playerId));
+  return {
+    ...hand,
+    seats: hand.seats.map(s => ({
+      ...s,
+      cards: shown.has(s.id) || s.id === viewerId ? s.cards : null
+    }))
+  };
+}
+
+function summarizeHand(hand) {
+  const names = Object.fromEntries(hand.seats.map(s => [s.id, s.name]));
+  return {
+    handNumber: hand.handNumber,
+    startedAt: hand.startedAt,
+    endedAt: hand.endedAt,
+    players: hand.seats.length,
+    board: hand.board,
+    board2: hand.board2 || null,
+    winners: hand.results.map(r => ({ id: r.playerId, name: names[r.playerId], amount: r.amount, handName: r.handName }))
+  };
+}
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+function stamp(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}/${pad2(d.getUTCMonth() + 1)}/${pad2(d.getUTCDate())} ` +
+    `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())} UTC`;
+}
+
+// Trackers expect a numeric hand id — room codes are hex, so combine the two
+function handId(hand) {
+  const room = parseInt(hand.roomId, 16) || 0;
+  return `${room}${String(hand.handNumber).padStart(5, '0')}`;
+}
+
+function actionLine(name, e) {
+  const allIn = e.allIn ? ' and is all-in' : '';
+  switch (e.action) {
+    case 'fold': return `${name}: folds`;
+    case 'check': return `${name}: checks`;
+    case 'call': return `${name}: calls $${e.amount}${allIn}`;
+    default: {
+      // raise / allin — work out what it amounted to
+      if (e.to <= e.facing) return `${name}: calls $${e.amount}${allIn}`;
+      if (e.facing === 0) return `${name}: bets $${e.amount}${allIn}`;
+      return `${name}: raises $${e.to - e.facing} to $${e.to}${allIn}`;
+    }
+  }
+}
+
+// 'main pot' / 'side pot-1' only when the hand actually split the pot
+function potName(label, hand) {
+  if (!hand.pots || hand.pots.length <= 1) return 'pot';
+  return label.replace(/^side pot (\d+)$/, 'side pot-$1');
+}
+
+const STRUCTURE_NAME = { 'no-limit': 'No Limit', 'pot-limit': 'Pot Limit', 'fixed-limit': 'Limit' };
+
+// PokerStars-compatible text. Hole cards follow the same rules as redactHand,
+// so pass the redacted record when exporting for a particular viewer.
+function formatPokerStars(hand, viewerId = null) {
+  const names = Object.fromEntries(hand.seats.map(s => [s.id, s.name]));
+  const lines = [];
+  lines.push(`PokerStars Hand #${handId(hand)}:  ${getVariant(hand.variant).historyName} ${STRUCTURE_NAME[hand.bettingStructure] || 'No Limit'} ($${hand.smallBlind}/$${hand.bigBlind} USD) - ${stamp(hand.startedAt)}`);
+  lines.push(`Table '${hand.roomId}' 9-max Seat #${hand.buttonSeat + 1} is the button${hand.bombPot ? ' (bomb pot)' : ''}`);
+  for (const s of hand.seats) lines.push(`Seat ${s.seat + 1}: ${s.name} ($${s.chips} in chips)`);
+
+  const streetHeader = { flop: 'FLOP', turn: 'TURN', river: 'RIVER' };
+  const board = [];
+  let holeCardsPrinted = false;
+  let showdownPrinted = false;
+  const printHoleCards = () => {
+    if (holeCardsPrinted) return;
+    holeCardsPrinted = true;
+    lines.push('*** HOLE CARDS ***');
+    const viewer = hand.seats.find(s => s.id === viewerId && s.cards);
+    if (viewer) lines.push(`Dealt to ${viewer.name} ${cardsText(viewer.cards)}`);
+  };
+
+  for (const e of hand.events) {
+    const name = names[e.playerId];
+    if (e.type === 'ante') lines.push(`${name}: posts the ante $${e.amount}`);
+    else if (e.type === 'blind' && e.blind === 'straddle') lines.push(`${name}: posts straddle $${e.amount}`);
+    else if (e.type === 'blind') lines.push(`${name}: posts ${e.dead ? 'dead ' : ''}${e.blind === 'SB' ? 'small' : 'big'} blind $${e.amount}`);
+    else if (e.type === 'action') { printHoleCards(); lines.push(actionLine(name, e)); }
+    else if (e.type === 'board' && e.board === 2) {
+      lines.push(`*** SECOND BOARD *** ${cardsText([...board.slice(0, 5 - e.cards.length), ...e.cards])}`);
+    } else if (e.type === 'board') {
+      printHoleCards();
+      const prev = board.length ? ` ${cardsText(board)}` : '';
+      board.push(...e.cards);
+      lines.push(`*** ${streetHeader[e.street]} ***${e.street === 'flop' ? ` ${cardsText(board)}` : `${prev} ${cardsText(e.cards)}`}`);
+    } else if (e.type === 'show') {
+      if (!showdownPrinted) { showdownPrinted = true; lines.push('*** SHOW DOWN ***'); }
+      lines.push(`${name}: shows ${cardsText(e.cards)} (${e.handName})`);
+    } else if (e.type === 'muck') {
+      if (!showdownPrinted) { showdownPrinted = true; lines.push('*** SHOW DOWN ***'); }
+      lines.push(`${name}: mucks hand`);
+    } else if (e.type === 'win') {
+      if (e.uncalled) lines.push(`Uncalled bet ($${e.amount}) returned to ${name}`);
+      else lines.push(`${name} collected $${e.amount} from ${potName(e.pot, hand)}`);
+    }
+  }
+
+  const total = (hand.pots && hand.pots.length)
+    ? hand.pots.reduce((a, p) => a + p.amount, 0)
+    : hand.results.reduce((a, r) => a + r.amount, 0);
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot $${total} | Rake $0`);
+  if (hand.board2) {
+    lines.push('Hand was run twice');
+    lines.push(`FIRST Board ${cardsText(hand.board)}`);
+    lines.push(`SECOND Board ${cardsText(hand.board2)}`);
+  } else if (hand.board.length) lines.push(`Board ${cardsText(hand.board)}`);
+  for (const s of hand.seats) {
+    const won = hand.results.find(r => r.playerId === s.id);
+    const tag = s.seat === hand.buttonSeat ? ' (button)' : '';
+    const shown = hand.events.find(e => e.type === 'show' && e.playerId === s.id);
+    const folded = hand.events.some(e => e.type === 'action' && e.action === 'fold' && e.playerId === s.id);
+    let desc;
+    if (shown) desc = won ? `showed ${cardsText(shown.cards)} and won ($${won.amount}) with ${shown.handName}` : `showed ${cardsText(shown.cards)} and lost with ${shown.handName}`;
+    else if (won) desc = `collected ($${won.amount})`;
+    else if (folded) desc = 'folded';
+    else desc = 'mucked';
+    lines.push(`Seat ${s.seat + 1}: ${s.name}${tag} ${desc}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { redactHand, summarizeHand, formatPokerStars };
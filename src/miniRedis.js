@@ -0,0 +1,212 @@
+const net = require('net');
+const { parse } = require('./redis');
+
+// ─── MINI REDIS ──────────────────────────────────────────────────────────────
+// An in-memory, Redis-compatible stand-in for running a cluster locally and
+// in tests: the handful of commands the cluster and RedisStore use, spoken
+// over the real protocol. Not for production — nothing is saved.
+//   node src/miniRedis.js [port]     (default 6379)
+
+function reply(v) {
+  if (v === null || v === undefined) return '$-1\r\n';
+  if (v instanceof Error) return `-${v.message}\r\n`;
+  if (typeof v === 'number') return `:${v}\r\n`;
+  if (v === 'OK' || v === 'PONG' || v === 'QUEUED') return `+${v}\r\n`;
+  if (Array.isArray(v)) return `*${v.length}\r\n` + v.map(reply).join('');
+  return `$${Buffer.byteLength(String(v))}\r\n${v}\r\n`;
+}
+
+const wrongType = () => new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+class MiniRedis {
+  constructor() {
+    this.data = new Map();     // key -> { value: string | Map | array, expiresAt }
+    this.channels = new Map(); // channel -> Set of sockets
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.connection(socket));
+  }
+
+  listen(port = 6379, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    for (const s of this.sockets) s.destroy();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  connection(socket) {
+    this.sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      let req;
+      try {
+        while (buffer.length && (req = parse(buffer))) {
+          buffer = buffer.subarray(req.end);
+          if (Array.isArray(req.value) && req.value.length) socket.write(reply(this.run(socket, req.value)));
+        }
+      } catch (err) {
+        socket.end(reply(new Error(`ERR Protocol error: ${err.message}`)));
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      for (const subs of this.channels.values()) subs.delete(socket);
+    });
+  }
+
+  // Live entry for a key, dropping it if it has expired
+  entry(key) {
+    const e = this.data.get(key);
+    if (e && e.expiresAt && e.expiresAt <= Date.now()) { this.data.delete(key); return null; }
+    return e || null;
+  }
+
+  typed(key, Type, create) {
+    const e = this.entry(key);
+    if (e && !(e.value instanceof Type)) throw wrongType();
+    if (e || !create) return e?.value || null;
+    const value = new Type();
+    this.data.set(key, { value, expiresAt: 0 });
+    return value;
+  }
+
+  run(socket, [name, ...args]) {
+    try {
+      return this.execute(socket, String(name).toUpperCase(), args);
+    } catch (err) {
+      return err;
+    }
+  }
+
+  execute(socket, cmd, args) {
+    const [key] = args;
+    switch (cmd) {
+      case 'PING': return args.length ? args[0] : 'PONG';
+      case 'ECHO': return args[0];
+      case 'AUTH': case 'SELECT': case 'CLIENT': return 'OK';
+      case 'QUIT': socket.end(reply('OK')); return null;
+      case 'FLUSHALL': this.data.clear(); return 'OK';
+
+      case 'GET': {
+        const e = this.entry(key);
+        if (e && typeof e.value !== 'string') throw wrongType();
+        return e ? e.value : null;
+      }
+      case 'SET': {
+        let nx = false, xx = false, ttl = 0;
+        for (let i = 2; i < args.length; i++) {
+          const opt = String(args[i]).toUpperCase();
+          if (opt === 'NX') nx = true;
+          else if (opt === 'XX') xx = true;
+          else if (opt === 'PX') ttl = Number(args[++i]);
+          else if (opt === 'EX') ttl = Number(args[++i]) * 1000;
+          else throw new Error('ERR syntax error');
+        }
+        const exists = !!this.entry(key);
+        if ((nx && exists) || (xx && !exists)) return null;
+        this.data.set(key, { value: String(args[1]), expiresAt: ttl ? Date.now() + ttl : 0 });
+        return 'OK';
+      }
+      case 'DEL':
+        return args.filter(k => this.entry(k) && this.data.delete(k)).length;
+      case 'EXISTS':
+        return args.filter(k => this.entry(k)).length;
+      case 'PEXPIRE': {
+        const e = this.entry(key);
+        if (!e) return 0;
+        e.expiresAt = Date.now() + Number(args[1]);
+        return 1;
+      }
+      case 'PTTL': {
+        const e = this.entry(key);
+        if (!e) return -2;
+        return e.expiresAt ? e.expiresAt - Date.now() : -1;
+      }
+      case 'RENAME': {
+        const e = this.entry(key);
+        if (!e) throw new Error('ERR no such key');
+        this.data.delete(key);
+        this.data.set(args[1], e);
+        return 'OK';
+      }
+
+      case 'HSET': {
+        const h = this.typed(key, Map, true);
+        let added = 0;
+        for (let i = 1; i + 1 < args.length; i += 2) {
+          if (!h.has(args[i])) added++;
+          h.set(args[i], String(args[i + 1]));
+        }
+        return added;
+      }
+      case 'HSETNX': {
+        const h = this.typed(key, Map, true);
+        if (h.has(args[1])) return 0;
+        h.set(args[1], String(args[2]));
+        return 1;
+      }
+      case 'HINCRBY': {
+        const h = this.typed(key, Map, true);
+        const n = Number(h.get(args[1]) ?? 0);
+        if (!Number.isInteger(n)) throw new Error('ERR hash value is not an integer');
+        const value = n + Number(args[2]);
+        h.set(args[1], String(value));
+        return value;
+      }
+      case 'HGET': return this.typed(key, Map)?.get(args[1]) ?? null;
+      case 'HDEL': {
+        const h = this.typed(key, Map);
+        return h ? args.slice(1).filter(f => h.delete(f)).length : 0;
+      }
+      case 'HKEYS': return [...(this.typed(key, Map)?.keys() || [])];
+      case 'HVALS': return [...(this.typed(key, Map)?.values() || [])];
+      case 'HGETALL': return [...(this.typed(key, Map)?.entries() || [])].flat();
+
+      case 'RPUSH': {
+        const list = this.typed(key, Array, true);
+        list.push(...args.slice(1).map(String));
+        return list.length;
+      }
+      case 'LRANGE': {
+        const list = this.typed(key, Array) || [];
+        const at = i => (Number(i) < 0 ? list.length + Number(i) : Number(i));
+        return list.slice(at(args[1]), at(args[2]) + 1);
+      }
+
+      case 'PUBLISH': {
+        const subs = this.channels.get(key) || new Set();
+        for (const s of subs) s.write(reply(['message', key, args[1]]));
+        return subs.size;
+      }
+      case 'SUBSCRIBE': case 'UNSUBSCRIBE': {
+        // One confirmation per channel; the last goes back as this call's reply
+        const subscribe = cmd === 'SUBSCRIBE';
+        const confirmations = args.map(ch => {
+          if (!this.channels.has(ch)) this.channels.set(ch, new Set());
+          if (subscribe) this.channels.get(ch).add(socket);
+          else this.channels.get(ch).delete(socket);
+          const count = [...this.channels.values()].filter(s => s.has(socket)).length;
+          return [cmd.toLowerCase(), ch, count];
+        });
+        for (const c of confirmations.slice(0, -1)) socket.write(reply(c));
+        return confirmations[confirmations.length - 1] || null;
+      }
+
+      default:
+        throw new Error(`ERR unknown command '${cmd}'`);
+    }
+  }
+}
+
+module.exports = { MiniRedis };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 6379;
+  new MiniRedis().listen(port).then(p => console.log(`Mini Redis listening on port ${p}`));
+}
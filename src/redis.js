@@ -0,0 +1,181 @@
+const net = require('net');
+
+// ─── REDIS CLIENT ────────────────────────────────────────────────────────────
+// Just enough of the Redis protocol (RESP2) for the cluster: commands with
+// promised replies, and pub/sub on a second connection. Works against Redis
+// or the local stand-in in miniRedis.js. Commands sent while the connection
+// is down fail; the connection comes back on its own and resubscribes.
+const RECONNECT_MS = 1000;
+
+class RedisError extends Error {}
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// One reply from buf at offset i: { value, end }, or null if it isn't all here yet
+function parse(buf, i = 0) {
+  const nl = buf.indexOf('\r\n', i);
+  if (nl === -1) return null;
+  const type = String.fromCharCode(buf[i]);
+  const line = buf.toString('utf8', i + 1, nl);
+  const next = nl + 2;
+  switch (type) {
+    case '+': return { value: line, end: next };
+    case '-': return { value: new RedisError(line), end: next };
+    case ':': return { value: Number(line), end: next };
+    case '$': {
+      const len = Number(line);
+      if (len === -1) return { value: null, end: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), end: next + len + 2 };
+    }
+    case '*': {
+      const n = Number(line);
+      if (n === -1) return { value: null, end: next };
+      const items = [];
+      let at = next;
+      for (let k = 0; k < n; k++) {
+        const item = parse(buf, at);
+        if (!item) return null;
+        items.push(item.value);
+        at = item.end;
+      }
+      return { value: items, end: at };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+// redis://[:password@]host[:port][/db]
+function parseUrl(url) {
+  const u = new URL(url);
+  return {
+    host: u.hostname || '127.0.0.1',
+    port: parseInt(u.port) || 6379,
+    password: u.password ? decodeURIComponent(u.password) : null,
+    db: parseInt(u.pathname.slice(1)) || 0
+  };
+}
+
+// One TCP connection. onPush gets pub/sub messages as [channel, message].
+class Connection {
+  constructor(options, onPush = null) {
+    this.options = options;
+    this.onPush = onPush;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    this.ready = null;
+    this.connect();
+  }
+
+  connect() {
+    const { host, port, password, db } = this.options;
+    this.socket = net.connect(port, host);
+    this.socket.setNoDelay(true);
+    this.ready = new Promise((resolve, reject) => {
+      this.socket.once('connect', resolve);
+      this.socket.once('error', reject);
+    });
+    this.ready.catch(() => {});
+    this.socket.on('data', chunk => this.receive(chunk));
+    this.socket.on('error', () => {});
+    this.socket.on('close', () => {
+      this.buffer = Buffer.alloc(0);
+      for (const p of this.pending.splice(0)) p.reject(new RedisError('Redis connection lost'));
+      if (!this.closed) setTimeout(() => this.reconnect(), RECONNECT_MS);
+    });
+    if (password) this.send(['AUTH', password]).catch(() => {});
+    if (db) this.send(['SELECT', db]).catch(() => {});
+  }
+
+  reconnect() {
+    if (this.closed) return;
+    this.connect();
+    this.ready.then(() => this.onReconnect?.(), () => {});
+  }
+
+  receive(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    while (this.buffer.length) {
+      let reply;
+      try {
+        reply = parse(this.buffer);
+      } catch (err) {
+        // Past a reply we can't read, nothing after it lines up: fail what's
+        // waiting and start again on a fresh connection
+        for (const p of this.pending.splice(0)) p.reject(err);
+        this.socket.destroy();
+        return;
+      }
+      if (!reply) break;
+      this.buffer = this.buffer.subarray(reply.end);
+      const v = reply.value;
+      if (this.onPush && Array.isArray(v) && v[0] === 'message') { this.onPush(v[1], v[2]); continue; }
+      const p = this.pending.shift();
+      if (!p) continue;
+      if (v instanceof RedisError) p.reject(v);
+      else p.resolve(v);
+    }
+  }
+
+  send(args) {
+    if (this.closed || this.socket.destroyed) return Promise.reject(new RedisError('Redis connection lost'));
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encode(args));
+    });
+  }
+
+  close() {
+    this.closed = true;
+    this.socket.end();
+  }
+}
+
+class RedisClient {
+  constructor(url) {
+    this.options = parseUrl(url);
+    this.conn = new Connection(this.options);
+    this.sub = null;          // second connection, opened by the first subscribe()
+    this.handlers = new Map(); // channel -> fn(message)
+  }
+
+  // Resolves once connected; rejects if the server can't be reached
+  ready() {
+    return this.conn.ready;
+  }
+
+  command(...args) {
+    return this.conn.send(args);
+  }
+
+  publish(channel, message) {
+    return this.command('PUBLISH', channel, message);
+  }
+
+  subscribe(channel, handler) {
+    if (!this.sub) {
+      this.sub = new Connection(this.options, (ch, msg) => this.handlers.get(ch)?.(msg));
+      this.sub.onReconnect = () => {
+        for (const ch of this.handlers.keys()) this.sub.send(['SUBSCRIBE', ch]).catch(() => {});
+      };
+    }
+    this.handlers.set(channel, handler);
+    return this.sub.send(['SUBSCRIBE', channel]);
+  }
+
+  quit() {
+    this.conn.close();
+    this.sub?.close();
+  }
+}
+
+module.exports = { RedisClient, RedisError, encode, parse, parseUrl };
@@ -3,48 +3,276 @@ const http = require('http');
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
-const { PokerGame } = require('./game');
+const { PokerGame, ANTE_TYPES, rebuildDeck } = require('./game');
+const { TournamentGame, ordinal } = require('./tournament');
+const { JsonStore, RedisStore } = require('./storage');
+const { RedisClient } = require('./redis');
+const { LocalCluster, Cluster, busAdapter } = require('./cluster');
+const { redactHand, summarizeHand, formatPokerStars } = require('./handHistory');
+const { SessionStore } = require('./sessions');
+const { AccountStore, RedisAccountStore, hashPassword, verifyPassword } = require('./accounts');
+const { verifyHand, seedRevealed } = require('./fairness');
+const { isVariant, getVariant } = require('./variants');
+const bots = require('./bots');
+
+// With REDIS_URL set, several processes share the tables (see cluster.js):
+// rooms and hands go to Redis and Socket.io broadcasts cross processes
+const redis = process.env.REDIS_URL ? new RedisClient(process.env.REDIS_URL) : null;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const ROOM_LEASE_MS = parseInt(process.env.ROOM_LEASE_MS ?? 15000);
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*', methods: ['GET','POST'] } });
+const io = new Server(server, { cors: { origin: '*', methods: ['GET','POST'] }, ...(redis && { adapter: busAdapter(redis) }) });
 
 app.use(express.static(path.join(__dirname, '../public')));
 app.use(express.json());
 
 const rooms = new Map();
 const socketToPlayer = new Map();
+const socketToSpectator = new Map();
+const store = redis ? new RedisStore(redis) : new JsonStore(DATA_DIR);
+const sessions = new SessionStore((parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000);
+// AccountStore answers straight away, RedisAccountStore with promises:
+// callers await either
+const accounts = redis ? new RedisAccountStore(redis) : new AccountStore(store);
+const cluster = redis
+  ? new Cluster(redis, { nodeId: process.env.NODE_ID, leaseMs: ROOM_LEASE_MS, hooks: { load: id => store.loadRoom(id), roomIds: () => store.roomIds(), adopt: adoptRoom, drop: dropRoom } })
+  : new LocalCluster();
 
 function getRoom(roomId) { return rooms.get(roomId); }
 
+// ── Persistence ──────────────────────────────────────────────
+// JsonStore writes straight away, RedisStore returns a promise; either way
+// a failed write is logged, never thrown
+function settle(what, write) {
+  try {
+    Promise.resolve(write()).catch(err => console.error(`Failed to ${what}: ${err.message}`));
+  } catch (err) {
+    console.error(`Failed to ${what}: ${err.message}`);
+  }
+}
+
+function persistRoom(roomId) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  settle(`save room ${roomId}`, () => store.saveRoom(roomId, {
+      roomId,
+      type: room.type,
+      name: room.name,
+      private: room.private,
+      password: room.password,
+      hostId: room.hostId,
+      locked: room.locked,
+      accountIds: Object.fromEntries(room.accountIds),
+      bannedAccounts: [...room.bannedAccounts],
+      createdAt: room.createdAt,
+      settings: room.settings,
+      sessions: sessions.forRoom(roomId),
+      game: room.game.snapshot()
+    }));
+}
+
+function persistHand(roomId) {
+  const room = getRoom(roomId);
+  if (!room || !room.game.lastHand) return;
+  settle(`save hand for room ${roomId}`, () => store.appendHand(roomId, room.game.lastHand));
+  persistRoom(roomId);
+}
+
+function restoreRoom(data) {
+  const game = data.type === 'tournament'
+    ? new TournamentGame(data.roomId, data.game.config)
+    : new PokerGame(data.roomId);
+  game.restore(data.game);
+  sessions.loadRoom(data.roomId, data.sessions);
+  return {
+    game,
+    type: data.type || 'cash',
+    name: data.name || `Table ${data.roomId}`,
+    private: data.private ?? true, // rooms from before the lobby were code-only
+    password: data.password || null,
+    hostId: data.hostId,
+    hostAway: false,
+    locked: !!data.locked,
+    accountIds: new Map(Object.entries(data.accountIds || {})),
+    bannedAccounts: new Set(data.bannedAccounts || []),
+    createdAt: data.createdAt,
+    settings: { ...defaultSettings(), ...data.settings },
+    webrtcPeers: new Map(),
+    spectators: new Map()
+  };
+}
+
 function broadcastState(roomId) {
   const room = getRoom(roomId);
   if (!room) return;
+  if (!room.private) lobbyChanged();
   const { game } = room;
-  const isShowdown = game.phase === 'showdown';
   for (const player of game.players) {
     const sockets = [...socketToPlayer.entries()]
       .filter(([, v]) => v.roomId === roomId && v.playerId === player.id)
       .map(([sid]) => sid);
     for (const sid of sockets) {
+      // Hole cards are the engine's call: your own, and whatever's been shown
       const state = game.getStateFor(player.id);
-      // At showdown: reveal all non-folded players' hands to everyone
-      if (isShowdown) {
-        state.players = state.players.map(p => {
-          const fullP = game.players.find(gp => gp.id === p.id);
-          if (fullP && !fullP.folded && fullP.hand && fullP.hand.length === 2) {
-            return { ...p, hand: fullP.hand };
-          }
-          return p;
-        });
-      }
-      io.to(sid).emit('game:state', {
-        ...state,
-        isHost: room.hostId === player.id,
-        settings: room.settings
-      });
+      io.to(sid).emit('game:state', { ...state, ...tableInfo(room), isHost: room.hostId === player.id });
     }
   }
+  // Spectators get the public view — only hands that have been turned up
+  if (room.spectators.size) {
+    const state = spectatorState(room);
+    for (const sid of room.spectators.keys()) io.to(sid).emit('game:state', state);
+  }
+}
+
+function spectatorState(room) {
+  const state = room.game.getStateFor(null);
+  return { ...state, ...tableInfo(room), isHost: false, spectator: true };
+}
+
+// Room-level extras every game:state carries
+function tableInfo(room) {
+  return { spectators: room.spectators.size, hostId: room.hostId, locked: !!room.locked, settings: room.settings };
+}
+
+// Drop spectators beyond what the host's settings now allow
+function trimSpectators(room) {
+  const { allowSpectators, maxSpectators } = room.settings;
+  const keep = !allowSpectators ? 0 : (maxSpectators || Infinity);
+  for (const sid of [...room.spectators.keys()].slice(keep)) {
+    room.spectators.delete(sid);
+    socketToSpectator.delete(sid);
+    io.to(sid).emit('room:spectate_closed', { message: 'The host closed the spectator gallery' });
+    io.in(sid).socketsLeave(room.game.roomId);
+  }
+}
+
+async function handleBuyIn(socket, kind) {
+  const info = socketToPlayer.get(socket.id);
+  if (!info) return;
+  const room = getRoom(info.roomId);
+  if (!room) return;
+  // Players with an account pay from their bankroll up front, refunded if
+  // the table then says no
+  const accountId = room.accountIds.get(info.playerId);
+  const cost = kind === 'rebuy' ? room.settings.rebuyAmount || room.settings.startingStack : room.settings.addOnAmount;
+  if (accountId && cost) {
+    const paid = await accounts.debit(accountId, cost);
+    if (paid.error) { socket.emit('error', { message: paid.error }); return; }
+  }
+  const result = room.game[kind](info.playerId, room.settings);
+  if (result.error) {
+    if (accountId && cost) await accounts.credit(accountId, cost);
+    socket.emit('error', { message: result.error });
+    return;
+  }
+  persistRoom(info.roomId);
+  broadcastState(info.roomId);
+  const verb = kind === 'rebuy' ? 'rebought' : 'added on';
+  broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${info.playerName} ${verb} for $${result.amount}.` });
+}
+
+// ── Bankrolls ────────────────────────────────────────────────
+// A seat costs the starting stack at a cash table, the buy-in at a tournament
+function buyInCost(room) {
+  return room.type === 'tournament' ? room.game.config.buyIn : room.settings.startingStack || 1500;
+}
+
+// Chips leaving with a player who has an account go back to their bankroll.
+// Tournament chips aren't money: the buy-in is refunded before the start,
+// and after it prizes are paid as places are decided (payPrize).
+function cashOut(room, playerId, chips) {
+  const accountId = room.accountIds.get(playerId);
+  room.accountIds.delete(playerId);
+  if (!accountId) return 0;
+  const amount = room.type === 'tournament' ? (room.game.startedAt ? 0 : room.game.config.buyIn) : chips;
+  settle(`credit account ${accountId}`, () => accounts.credit(accountId, amount));
+  return amount;
+}
+
+function payPrize(room, { id, prize }) {
+  const accountId = room.accountIds.get(id);
+  if (!accountId) return;
+  settle(`credit account ${accountId}`, () => accounts.credit(accountId, prize));
+  settle(`record account ${accountId}`, () => accounts.recordNet(accountId, prize - room.game.config.buyIn));
+}
+
+// New game: the old stack (or an unfinished tournament's buy-in) goes back to
+// the bankroll and the new one is bought from it. False if it can't be.
+async function restake(room, p) {
+  const accountId = room.accountIds.get(p.id);
+  if (!accountId) return true;
+  const tournament = room.type === 'tournament';
+  await accounts.credit(accountId, tournament ? (room.game.finished ? 0 : room.game.config.buyIn) : p.chips);
+  return !(await accounts.debit(accountId, buyInCost(room))).error;
+}
+
+// Lifetime stats from the hand that just finished. Tournament hands count
+// as hands played; their chips don't count as winnings.
+function recordHandStats(room) {
+  const h = room.game.lastHand;
+  if (!h || !room.accountIds.size) return;
+  const cash = room.type !== 'tournament';
+  for (const seat of h.seats) {
+    const accountId = room.accountIds.get(seat.id);
+    if (!accountId) continue;
+    const after = h.finalStacks.find(f => f.id === seat.id)?.chips ?? 0;
+    const won = h.results.filter(r => r.playerId === seat.id).reduce((a, r) => a + r.amount, 0);
+    settle(`record account ${accountId}`, () => accounts.recordHand(accountId, cash ? { net: after - seat.chips, won } : {}));
+  }
+  accounts.save();
+}
+
+// The room this socket is the host of, or null after telling it no
+function hostRoom(socket, what) {
+  const info = socketToPlayer.get(socket.id);
+  if (!info) return null;
+  const room = getRoom(info.roomId);
+  if (!room || room.hostId !== info.playerId) { socket.emit('error', { message: `Only the host can ${what}` }); return null; }
+  return { info, room };
+}
+
+// Kick or ban. A ban keeps the player's session tokens on file, marked, so
+// that browser can't take a seat here again.
+function removeByHost(socket, playerId, ban) {
+  const host = hostRoom(socket, ban ? 'ban players' : 'remove players');
+  if (!host) return;
+  const { info, room } = host;
+  if (playerId === info.playerId) { socket.emit('error', { message: 'You cannot remove yourself' }); return; }
+  const p = room.game.players.find(p => p.id === playerId);
+  const result = room.game.kickPlayer(playerId);
+  if (result.error) { socket.emit('error', { message: result.error }); return; }
+  if (ban) {
+    sessions.ban(info.roomId, playerId);
+    if (room.accountIds.has(playerId)) room.bannedAccounts.add(room.accountIds.get(playerId));
+  } else sessions.revokePlayer(info.roomId, playerId);
+  // Mid-hand the seat (and its chips) only go at the next deal
+  if (!result.pending) cashOut(room, playerId, result.player.chips);
+  dropSockets(info.roomId, playerId, { message: ban ? 'You were banned from this table' : 'The host removed you from the table', banned: ban });
+  persistRoom(info.roomId);
+  actForAway(info.roomId);
+  broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${p.name} was ${ban ? 'banned' : 'removed'} by the host.` });
+}
+
+function broadcastHandOver(roomId, result) {
+  const room = getRoom(roomId);
+  recordHandStats(room);
+  for (const e of result.eliminated || []) payPrize(room, e);
+  if (result.tournamentOver) {
+    payPrize(room, result.standings.find(s => s.place === 1));
+    room.game.revealSeeds();
+  }
+  persistHand(roomId);
+  broadcastToRoom(roomId, 'game:hand_over', { winners: result.winners, pots: result.pots || [] });
+  // Tournament rooms report busts and the final standings
+  for (const e of result.eliminated || []) {
+    broadcastToRoom(roomId, 'tournament:elimination', e);
+    broadcastToRoom(roomId, 'chat', { system: true, msg: `${e.name} finished ${ordinal(e.place)}${e.prize ? ` — wins $${e.prize}` : ''}.` });
+  }
+  if (result.tournamentOver) {
+    broadcastToRoom(roomId, 'tournament:finished', { standings: result.standings });
+  }
 }
 
 function broadcastToRoom(roomId, event, data) {
@@ -60,58 +288,424 @@ function defaultSettings() {
     turnTimer: 30,      // seconds per turn (0 = no limit)
     maxPlayers: 9,
     allowRebuy: false,
+    maxRebuys: 0,       // 0 = unlimited
+    rebuyAmount: 0,     // 0 = starting stack
+    rebuyUntilHand: 0,  // last hand number rebuys are open (0 = always)
+    addOnAmount: 0,     // 0 = add-ons disabled
+    allowSpectators: true,
+    maxSpectators: 20,  // 0 = unlimited
+    variant: 'holdem',  // 'holdem' | 'omaha' | 'omaha8' | 'shortdeck'
+    bettingStructure: 'no-limit', // 'no-limit' | 'pot-limit' | 'fixed-limit'
+    raiseCap: 4,        // fixed-limit: bets + raises allowed per street
+    sitOutOrbits: 3,    // orbits a player can sit out before losing the seat (0 = never)
+    runItTwice: true,   // all-in players may agree to deal the rest of the board twice
+    rabbitHunt: false,  // after a hand won without a showdown, players may see the board that would have come
+    ante: 0,            // 0 = no ante
+    anteType: 'each',   // 'each' | 'big-blind' (the big blind antes for the whole table)
+    straddle: false,    // the player under the gun may post a live straddle of 2× the big blind
+    bombPotAnte: 0,     // everyone's ante in a bomb pot (0 = 2× the big blind)
+    bombPotEvery: 0,    // deal a bomb pot every this many hands (0 = only when the host calls one)
+    timeBank: 30,       // seconds of extra time once the turn timer runs out (0 = none)
+    timeBankRefill: 5,  // seconds added back...
+    timeBankRefillHands: 10, // ...every this many hands
+  };
+}
+
+// Room passwords are stored as a salted scrypt hash, like account passwords
+function checkPassword(room, password) {
+  return !room.password || verifyPassword(room.password, password);
+}
+
+// What the lobby and GET /api/rooms/:roomId show about a table
+function roomSummary(roomId, room) {
+  const { game, settings } = room;
+  const tournament = room.type === 'tournament';
+  return {
+    roomId,
+    name: room.name,
+    type: room.type,
+    variant: getVariant(tournament ? game.config.variant : settings.variant).name,
+    bettingStructure: tournament ? game.config.bettingStructure : settings.bettingStructure,
+    smallBlind: tournament ? game.SMALL_BLIND : settings.smallBlind,
+    bigBlind: tournament ? game.BIG_BLIND : settings.bigBlind,
+    players: game.players.length,
+    maxPlayers: settings.maxPlayers,
+    phase: game.phase,
+    private: !!room.private,
+    hasPassword: !!room.password,
+    locked: !!room.locked,
+    spectators: room.spectators.size
   };
 }
 
+const byPlayers = (a, b) => b.players - a.players || a.name.localeCompare(b.name);
+
+// This process's public tables
+function publicRooms() {
+  return [...rooms.entries()]
+    .filter(([, room]) => !room.private)
+    .map(([id, room]) => roomSummary(id, room))
+    .sort(byPlayers);
+}
+
+// Every process's, when there are several
+async function lobbyRooms() {
+  if (!cluster.shared) return publicRooms();
+  return [...publicRooms(), ...await cluster.lobby()].sort(byPlayers);
+}
+
+// Express 4 doesn't catch rejected promises from async handlers
+const asyncRoute = fn => (req, res, next) => fn(req, res).catch(next);
+
 // REST
-app.post('/api/rooms', (req, res) => {
-  const roomId = uuidv4().slice(0, 6).toUpperCase();
-  const game = new PokerGame(roomId);
-  rooms.set(roomId, { game, hostId: null, createdAt: Date.now(), settings: defaultSettings(), webrtcPeers: new Map() });
-  console.log(`Room created: ${roomId}`);
+app.post('/api/rooms', asyncRoute(async (req, res) => {
+  const body = req.body || {};
+  const roomId = await newRoomId();
+  const type = body.type === 'tournament' ? 'tournament' : 'cash';
+  const game = type === 'tournament' ? new TournamentGame(roomId, body.tournament) : new PokerGame(roomId);
+  const settings = defaultSettings();
+  if (type === 'tournament') Object.assign(settings, { startingStack: game.config.startingStack, runItTwice: false, straddle: false });
+  rooms.set(roomId, {
+    game, type,
+    name: String(body.name || '').trim().slice(0, 40) || `Table ${roomId}`,
+    private: !!body.private,
+    password: body.password ? hashPassword(String(body.password).slice(0, 64)) : null,
+    hostId: null, hostAway: false, locked: false, accountIds: new Map(), bannedAccounts: new Set(),
+    createdAt: Date.now(), settings, webrtcPeers: new Map(), spectators: new Map()
+  });
+  persistRoom(roomId);
+  lobbyChanged();
+  console.log(`Room created: ${roomId} (${type})`);
   res.json({ roomId });
-});
+}));
 
-app.get('/api/rooms/:roomId', (req, res) => {
-  const room = getRoom(req.params.roomId.toUpperCase());
-  if (!room) return res.status(404).json({ error: 'Room not found' });
-  res.json({ roomId: req.params.roomId.toUpperCase(), playerCount: room.game.players.length, phase: room.game.phase, maxPlayers: 9 });
-});
+// A fresh room code, claimed for this process so no other can hand it out
+async function newRoomId() {
+  for (;;) {
+    const roomId = uuidv4().slice(0, 6).toUpperCase();
+    if (rooms.has(roomId) || !await cluster.claim(roomId)) continue;
+    // A saved table nobody holds right now still has its code
+    if (cluster.shared && await store.loadRoom(roomId)) { await cluster.release(roomId); continue; }
+    return roomId;
+  }
+}
+
+// Public tables only; private ones are reachable by code
+app.get('/api/rooms', asyncRoute(async (req, res) => {
+  res.json({ rooms: await lobbyRooms() });
+}));
+
+app.get('/api/rooms/:roomId', asyncRoute(async (req, res) => {
+  const summary = await onRoomOwner(req.params.roomId.toUpperCase(), 'summary');
+  if (!summary) return res.status(404).json({ error: 'Room not found' });
+  res.json(summary);
+}));
+
+// ── Accounts ─────────────────────────────────────────────────
+// Auth tokens go in the x-auth-token header
+app.post('/api/accounts', asyncRoute(async (req, res) => {
+  const { username, password } = req.body || {};
+  const result = await accounts.register(username, password);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.status(201).json({ token: result.token, ...accounts.profile(result.account) });
+}));
+
+app.post('/api/login', asyncRoute(async (req, res) => {
+  const { username, password } = req.body || {};
+  const result = await accounts.login(username, password);
+  if (result.error) return res.status(401).json({ error: result.error });
+  res.json({ token: result.token, ...accounts.profile(result.account) });
+}));
+
+app.post('/api/logout', asyncRoute(async (req, res) => {
+  await accounts.logout(req.get('x-auth-token'));
+  res.json({ success: true });
+}));
+
+app.get('/api/me', asyncRoute(async (req, res) => {
+  const account = await accounts.resolve(req.get('x-auth-token'));
+  if (!account) return res.status(401).json({ error: 'Not logged in' });
+  res.json(accounts.profile(account));
+}));
+
+// ?sort=net|bankroll|hands|biggestPot, ?limit= up to 100
+app.get('/api/leaderboard', asyncRoute(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  res.json({ leaderboard: await accounts.leaderboard(req.query.sort, limit) });
+}));
+
+// A table's hands and stats are for the people at it: one with a password
+// wants it (x-room-password) or a session token from a seat there, the same
+// as room:join. Sends the refusal and resolves to null, or to { viewer } —
+// the player behind the token, if any. Sessions live with the table, so
+// this asks the process that has it.
+async function readAccess(req, res, roomId) {
+  const token = req.query.token || req.get('x-session-token') || null;
+  const access = await onRoomOwner(roomId, 'access', req.get('x-room-password') || null, token);
+  if (!access) { res.status(404).json({ error: 'Room not found' }); return null; }
+  if (!access.allowed) { res.status(403).json({ error: 'Wrong password' }); return null; }
+  return access;
+}
+
+// Session stats per player (VPIP, PFR, AF, WTSD, W$SD, net) — see stats.js
+app.get('/api/rooms/:roomId/stats', asyncRoute(async (req, res) => {
+  const rid = req.params.roomId.toUpperCase();
+  if (!await readAccess(req, res, rid)) return;
+  const stats = await onRoomOwner(rid, 'stats');
+  if (!stats) return res.status(404).json({ error: 'Room not found' });
+  res.json(stats);
+}));
+
+// Hand history — JSON by default, ?format=text for PokerStars-style text.
+// Hole cards are included only if shown, or the caller's own (?token=<session token>).
+app.get('/api/rooms/:roomId/hands', asyncRoute(async (req, res) => {
+  const rid = req.params.roomId.toUpperCase();
+  const access = await readAccess(req, res, rid);
+  if (!access) return;
+  const { viewer } = access;
+  const hands = await store.loadHands(rid);
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(hands.map(h => formatPokerStars(redactHand(h, viewer), viewer)).join('\n\n\n'));
+  }
+  res.json({ roomId: rid, hands: hands.map(summarizeHand) });
+}));
+
+app.get('/api/rooms/:roomId/hands/:n', asyncRoute(async (req, res) => {
+  const rid = req.params.roomId.toUpperCase();
+  const access = await readAccess(req, res, rid);
+  if (!access) return;
+  const { viewer } = access;
+  // Hand numbers restart with each new game — the most recent one wins
+  const hand = (await store.loadHands(rid)).findLast(h => h.handNumber === parseInt(req.params.n));
+  if (!hand) return res.status(404).json({ error: 'Hand not found' });
+  const redacted = redactHand(hand, viewer);
+  if (redacted.fairness && !seedRevealed(hand, await seedsRevealedThrough(rid))) {
+    redacted.fairness = { ...redacted.fairness, serverSeed: null };
+  }
+  if (req.query.format === 'text') return res.type('text/plain').send(formatPokerStars(redacted, viewer));
+  res.json(redacted);
+}));
+
+// The last deal with a public seed, for seedRevealed. Once the table is
+// gone there's no game left to protect.
+async function seedsRevealedThrough(roomId) {
+  return await onRoomOwner(roomId, 'seedsRevealedThrough') ?? Infinity;
+}
+
+// Provably fair audit: rebuild the deck from the revealed seeds and check it
+// against the commitment, the published deck hash and the cards actually dealt.
+// The deck shows every hand, so only once the game is over.
+app.get('/api/rooms/:roomId/hands/:n/verify', asyncRoute(async (req, res) => {
+  const rid = req.params.roomId.toUpperCase();
+  if (!await readAccess(req, res, rid)) return;
+  const hand = (await store.loadHands(rid)).findLast(h => h.handNumber === parseInt(req.params.n));
+  if (!hand) return res.status(404).json({ error: 'Hand not found' });
+  if (!hand.fairness) return res.status(404).json({ error: 'No fairness record for this hand' });
+  if (!seedRevealed(hand, await seedsRevealedThrough(rid))) {
+    return res.status(403).json({ error: 'Server seeds are revealed when the game ends' });
+  }
+  const deck = rebuildDeck(hand.fairness);
+  res.json({
+    roomId: rid,
+    handNumber: hand.handNumber,
+    ...hand.fairness,
+    deck: deck.map(c => c.r + c.s),
+    ...verifyHand(hand, deck)
+  });
+}));
 
 // Socket.io
+// Table events run on the process the table lives on: this one, or with
+// REDIS_URL set, whichever holds its lease. There the socket is stood in
+// for by a TableSocket, which answers through io so its emits reach the
+// real socket on whatever process it's connected to.
+class TableSocket {
+  constructor(id) {
+    this.id = id;
+    this.handlers = new Map();
+  }
+
+  on(event, fn) { this.handlers.set(event, fn); }
+  dispatch(event, args) { return this.handlers.get(event)?.(...args); }
+  emit(event, data) { io.to(this.id).emit(event, data); }
+  join(room) { io.in(this.id).socketsJoin(room); }
+  to(room) { return io.to(room).except(this.id); }
+}
+
+const tableSockets = new Map(); // socket id -> TableSocket, for sockets at tables here
+
+// Returns the handler's promise if it has one (account calls are async)
+function deliver(sid, event, args) {
+  if (event === 'disconnect') {
+    const done = tableSockets.get(sid)?.dispatch(event, args);
+    tableSockets.delete(sid);
+    return done;
+  }
+  if (!tableSockets.has(sid)) {
+    const socket = new TableSocket(sid);
+    bindTableEvents(socket);
+    tableSockets.set(sid, socket);
+  }
+  return tableSockets.get(sid).dispatch(event, args);
+}
+
+// Events that name their table; the rest go to the socket's latest one
+const ROOM_EVENTS = new Set(['room:join', 'room:spectate', 'webrtc:join']);
+const socketRooms = new Map();  // socket id -> tables it has been at, latest last
+const socketQueues = new Map(); // socket id -> its last event still being handled
+
+function toTable(sid, roomId, event, args) {
+  inOrder(sid, event, () => (cluster.shared ? route(sid, roomId, event, args) : deliver(sid, event, args)));
+}
+
+// Finding the owner and some handlers are async: while one of a socket's
+// events is still going, the next ones wait for it so they stay in order
+function inOrder(sid, event, run) {
+  const pending = socketQueues.get(sid);
+  if (!pending) {
+    const result = run();
+    if (!(result instanceof Promise)) return;
+    queueFor(sid, event, result);
+    return;
+  }
+  queueFor(sid, event, pending.then(run));
+}
+
+function queueFor(sid, event, promise) {
+  const queued = promise
+    .catch(err => console.error(`Failed to handle ${event} from ${sid}: ${err.message}`))
+    .finally(() => { if (socketQueues.get(sid) === queued) socketQueues.delete(sid); });
+  socketQueues.set(sid, queued);
+}
+
+async function route(sid, roomId, event, args) {
+  const owner = roomId ? await cluster.locate(roomId) : null;
+  if (!owner || owner === cluster.nodeId) { deliver(sid, event, args); return; }
+  // The owner stopped and its lease hasn't run out yet; whoever takes the
+  // table over sends room:reload
+  if (!await cluster.send(owner, 'deliver', [sid, event, args]) && event !== 'disconnect') {
+    io.to(sid).emit('error', { message: 'This table is moving to another server — try again in a moment' });
+  }
+}
+
 io.on('connection', (socket) => {
   console.log(`Socket connected: ${socket.id}`);
 
-  socket.on('room:join', ({ roomId, playerName, playerId, emoji }) => {
-    const rid = roomId.toUpperCase();
+  // The lobby page watches the public room list
+  socket.on('lobby:watch', async () => {
+    socket.join(LOBBY);
+    socket.emit('lobby:rooms', { rooms: await lobbyRooms() });
+  });
+  socket.on('lobby:unwatch', () => socket.leave(LOBBY));
+
+  socket.on('webrtc:offer',  ({ to, offer })     => io.to(to).emit('webrtc:offer',  { from: socket.id, offer }));
+  socket.on('webrtc:answer', ({ to, answer })    => io.to(to).emit('webrtc:answer', { from: socket.id, answer }));
+  socket.on('webrtc:ice',    ({ to, candidate }) => io.to(to).emit('webrtc:ice',    { from: socket.id, candidate }));
+
+  // Everything without a handler above is for a table
+  socket.onAny((event, ...args) => {
+    if (socket.listeners(event).length) return;
+    let roomId = socketRooms.get(socket.id)?.at(-1);
+    if (ROOM_EVENTS.has(event)) {
+      roomId = String(args[0]?.roomId || '').toUpperCase();
+      const seen = (socketRooms.get(socket.id) || []).filter(id => id !== roomId);
+      socketRooms.set(socket.id, [...seen, roomId]);
+    }
+    toTable(socket.id, roomId, event, args);
+  });
+
+  socket.on('disconnect', () => {
+    for (const roomId of socketRooms.get(socket.id) || [null]) toTable(socket.id, roomId, 'disconnect', []);
+    socketRooms.delete(socket.id);
+    console.log(`Socket disconnected: ${socket.id}`);
+  });
+});
+
+function bindTableEvents(socket) {
+  // Reconnects are proven by the secret session token, never by player id
+  // Logged-in players (authToken) can also reclaim their seat by account,
+  // from any device, and buy in from their bankroll
+  socket.on('room:join', async ({ roomId, playerName, token, emoji, password, authToken }) => {
+    const rid = (roomId || '').toUpperCase();
+    const account = await accounts.resolve(authToken);
     const room = getRoom(rid);
     if (!room) { socket.emit('error', { message: `Room "${rid}" not found` }); return; }
-
-    const name = (playerName || 'Player').slice(0, 20);
+    if (authToken && !account) { socket.emit('auth:expired'); return; }
     const safeEmoji = emoji || '🎭';
-    const existingPlayer = playerId ? room.game.players.find(p => p.id === playerId) : null;
-    const pid = existingPlayer ? playerId : uuidv4();
+    const session = sessions.resolve(token);
+    if (session && session.roomId === rid && session.banned || account && room.bannedAccounts.has(account.id)) {
+      socket.emit('error', { message: 'You are banned from this table' });
+      return;
+    }
+    const bySession = session && session.roomId === rid
+      ? room.game.players.find(p => p.id === session.playerId)
+      : null;
+    const byAccount = account && room.game.players.find(p => !p.kicked && room.accountIds.get(p.id) === account.id);
+    const existingPlayer = bySession || byAccount || null;
+    if (token && !bySession) socket.emit('session:expired', { roomId: rid });
+    const pid = existingPlayer ? existingPlayer.id : uuidv4();
+    const name = existingPlayer ? existingPlayer.name : account ? account.username : (playerName || 'Player').slice(0, 20);
 
     if (existingPlayer) {
       room.game.reconnectPlayer(pid, safeEmoji);
       console.log(`${name} reconnected to ${rid}`);
     } else {
+      if (room.locked) { socket.emit('error', { message: 'This table is locked' }); return; }
+      if (!checkPassword(room, password)) { socket.emit('error', { message: 'Wrong password' }); return; }
+      if (room.game.players.length >= room.settings.maxPlayers) { socket.emit('error', { message: 'Table is full' }); return; }
       // Pass current startingStack from settings so new players join with correct stack
       const startingStack = room.settings.startingStack || 1500;
-      const result = room.game.addPlayer(pid, name, startingStack, safeEmoji);
-      if (result.error) { socket.emit('error', { message: result.error }); return; }
+      const cost = buyInCost(room);
+      if (account) {
+        const paid = await accounts.debit(account.id, cost);
+        if (paid.error) { socket.emit('error', { message: paid.error }); return; }
+      }
+      // Other joins can land while the bankroll is being charged
+      const result = room.game.players.length >= room.settings.maxPlayers
+        ? { error: 'Table is full' }
+        : room.game.addPlayer(pid, name, startingStack, safeEmoji);
+      if (result.error) {
+        if (account) await accounts.credit(account.id, cost);
+        socket.emit('error', { message: result.error });
+        return;
+      }
+      if (account) room.accountIds.set(pid, account.id);
       console.log(`${name} joined ${rid} as ${pid} with $${startingStack}`);
     }
 
     if (!room.hostId) room.hostId = pid;
+    if (room.hostId === pid) clearHostTimer(rid);
 
     socket.join(rid);
     socketToPlayer.set(socket.id, { roomId: rid, playerId: pid, playerName: name });
 
-    socket.emit('room:joined', { roomId: rid, playerId: pid, playerName: name, isHost: room.hostId === pid });
-    socket.emit('game:state', { ...room.game.getStateFor(pid), isHost: room.hostId === pid, settings: room.settings });
+    const sessionToken = bySession ? token : sessions.issue(rid, pid);
+    persistRoom(rid);
+    socket.emit('room:joined', { roomId: rid, playerId: pid, playerName: name, token: sessionToken, isHost: room.hostId === pid });
+    socket.emit('game:state', { ...room.game.getStateFor(pid), ...tableInfo(room), isHost: room.hostId === pid });
     broadcastState(rid);
     broadcastToRoom(rid, 'chat', { system: true, msg: `${safeEmoji} ${name} joined the table.` });
+    passHostIfGone(rid);
+  });
+
+  // Watch a table without taking a seat
+  socket.on('room:spectate', ({ roomId, name, password }) => {
+    const rid = (roomId || '').toUpperCase();
+    const room = getRoom(rid);
+    if (!room) { socket.emit('error', { message: `Room "${rid}" not found` }); return; }
+    if (!checkPassword(room, password)) { socket.emit('error', { message: 'Wrong password' }); return; }
+    const { allowSpectators, maxSpectators } = room.settings;
+    if (!allowSpectators) { socket.emit('error', { message: 'Spectators are disabled at this table' }); return; }
+    if (maxSpectators && room.spectators.size >= maxSpectators) { socket.emit('error', { message: 'Spectator gallery is full' }); return; }
+
+    const spectatorName = (name || 'Spectator').slice(0, 20);
+    socket.join(rid);
+    room.spectators.set(socket.id, spectatorName);
+    socketToSpectator.set(socket.id, { roomId: rid, name: spectatorName });
+
+    socket.emit('room:spectating', { roomId: rid });
+    broadcastState(rid);
+    broadcastToRoom(rid, 'chat', { system: true, msg: `👁 ${spectatorName} is watching.` });
   });
 
   // Host settings update
@@ -133,11 +727,40 @@ io.on('connection', (socket) => {
     if (newSettings.turnTimer >= 0) s.turnTimer = parseInt(newSettings.turnTimer);
     if (newSettings.maxPlayers >= 2 && newSettings.maxPlayers <= 9) s.maxPlayers = parseInt(newSettings.maxPlayers);
     s.allowRebuy = !!newSettings.allowRebuy;
+    if (newSettings.maxRebuys >= 0) s.maxRebuys = parseInt(newSettings.maxRebuys);
+    if (newSettings.rebuyAmount >= 0) s.rebuyAmount = parseInt(newSettings.rebuyAmount);
+    if (newSettings.rebuyUntilHand >= 0) s.rebuyUntilHand = parseInt(newSettings.rebuyUntilHand);
+    if (newSettings.addOnAmount >= 0) s.addOnAmount = parseInt(newSettings.addOnAmount);
+    if (newSettings.allowSpectators !== undefined) s.allowSpectators = !!newSettings.allowSpectators;
+    if (newSettings.maxSpectators >= 0) s.maxSpectators = parseInt(newSettings.maxSpectators);
+    // Switching games without naming a structure picks the new game's usual one
+    if (isVariant(newSettings.variant) && newSettings.variant !== s.variant) {
+      s.variant = newSettings.variant;
+      s.bettingStructure = getVariant(s.variant).defaultStructure;
+    }
+    if (['no-limit', 'pot-limit', 'fixed-limit'].includes(newSettings.bettingStructure)) s.bettingStructure = newSettings.bettingStructure;
+    if (newSettings.raiseCap >= 1 && newSettings.raiseCap <= 10) s.raiseCap = parseInt(newSettings.raiseCap);
+    if (newSettings.sitOutOrbits >= 0 && newSettings.sitOutOrbits <= 20) s.sitOutOrbits = parseInt(newSettings.sitOutOrbits);
+    if (room.type !== 'tournament') {
+      // Tournaments take antes from the blind levels and don't straddle or bomb
+      if (newSettings.runItTwice !== undefined) s.runItTwice = !!newSettings.runItTwice;
+      if (newSettings.ante >= 0) s.ante = parseInt(newSettings.ante);
+      if (ANTE_TYPES.includes(newSettings.anteType)) s.anteType = newSettings.anteType;
+      if (newSettings.straddle !== undefined) s.straddle = !!newSettings.straddle;
+      if (newSettings.bombPotAnte >= 0) s.bombPotAnte = parseInt(newSettings.bombPotAnte);
+      if (newSettings.bombPotEvery >= 0 && newSettings.bombPotEvery <= 100) s.bombPotEvery = parseInt(newSettings.bombPotEvery);
+    }
+    if (newSettings.rabbitHunt !== undefined) s.rabbitHunt = !!newSettings.rabbitHunt;
+    if (newSettings.timeBank >= 0 && newSettings.timeBank <= 300) s.timeBank = parseInt(newSettings.timeBank);
+    if (newSettings.timeBankRefill >= 0 && newSettings.timeBankRefill <= 60) s.timeBankRefill = parseInt(newSettings.timeBankRefill);
+    if (newSettings.timeBankRefillHands >= 1 && newSettings.timeBankRefillHands <= 100) s.timeBankRefillHands = parseInt(newSettings.timeBankRefillHands);
+    trimSpectators(room);
 
     // Apply blinds + stack to game engine so new joiners get right chips
     room.game.SMALL_BLIND = s.smallBlind;
     room.game.BIG_BLIND = s.bigBlind;
     room.game.defaultStack = s.startingStack;
+    persistRoom(info.roomId);
 
     broadcastState(info.roomId);
     broadcastToRoom(info.roomId, 'chat', { system: true, msg: `Host updated settings.` });
@@ -151,14 +774,18 @@ io.on('connection', (socket) => {
     if (!room || room.hostId !== info.playerId) { socket.emit('error', { message: 'Only the host can deal' }); return; }
     clearTurnTimer(info.roomId);
     const result = room.game.startHand(room.settings);
-    if (result.error) { socket.emit('error', { message: result.error }); return; }
-    broadcastState(info.roomId);
-    broadcastCurrentTurn(info.roomId);
-    startTurnTimer(info.roomId);
+    if (result.removed?.length) dropRemovedPlayers(info.roomId, result.removed);
+    if (result.error) { socket.emit('error', { message: result.error }); broadcastState(info.roomId); return; }
+    if (result.levelUp) {
+      const l = result.levelUp;
+      broadcastToRoom(info.roomId, 'tournament:level_up', l);
+      broadcastToRoom(info.roomId, 'chat', { system: true, msg: `Level ${l.level}: blinds $${l.smallBlind}/$${l.bigBlind}${l.ante ? ` ante $${l.ante}` : ''}` });
+    }
+    afterAction(info.roomId, result);
   });
 
   // New game (reset all chips to starting stack)
-  socket.on('game:new_game', (settings) => {
+  socket.on('game:new_game', async (settings) => {
     const info = socketToPlayer.get(socket.id);
     if (!info) return;
     const room = getRoom(info.roomId);
@@ -174,21 +801,41 @@ io.on('connection', (socket) => {
     }
     // Reset all players
     const stack = room.settings.startingStack || 1500;
+    const unfunded = [];
+    for (const p of room.game.players) if (!await restake(room, p)) unfunded.push(p);
     room.game.players.forEach(p => {
       p.chips = stack;
       p.hand  = [];
       p.bet   = 0;
+      p.totalBet = 0;
       p.folded = false;
       p.allIn  = false;
       p.buyIns = 1;
+      p.addOns = 0;
+      p.buyInTotal = stack;
     });
+    room.game.departed = [];
     room.game.phase = 'waiting';
     room.game.pot   = 0;
+    room.game.sidePots = [];
     room.game.community = [];
+    room.game.board2 = null;
+    room.game.shown = {};
+    room.game.rabbit = null;
     room.game.currentIndex = -1;
+    room.game.runningOut = false;
+    room.game.clock = null;
     room.game.handNumber = 0;
     room.game.log = [];
+    room.game.stats.reset();
+    if (room.type === 'tournament') {
+      room.game.players.forEach(p => { p.chips = room.game.config.startingStack; p.buyInTotal = p.chips; p.sitOut = false; });
+      room.game.resetTournament();
+    }
+    // Players whose bankroll can't cover the new stack start busted
+    for (const p of unfunded) { p.chips = 0; p.buyInTotal = 0; }
     clearTurnTimer(info.roomId);
+    persistRoom(info.roomId);
     broadcastState(info.roomId);
     broadcastToRoom(info.roomId, 'chat', { system: true, msg: 'New game started!' });
   });
@@ -200,34 +847,240 @@ io.on('connection', (socket) => {
     const room = getRoom(info.roomId);
     if (!room || room.hostId !== info.playerId) return;
     clearTurnTimer(info.roomId);
-    // Build a final state that includes all hands (for the ledger)
+    room.game.revealSeeds();
+    persistRoom(info.roomId);
+    // The public view of the table, for the ledger — mucked and unshown hands stay hidden
     const baseState = room.game.getStateFor(null);
-    baseState.players = baseState.players.map(p => {
-      const fullP = room.game.players.find(gp => gp.id === p.id);
-      return fullP ? { ...p, hand: fullP.hand, emoji: fullP.emoji } : p;
-    });
     broadcastToRoom(info.roomId, 'game:ended', {
       ...baseState,
       isHost: false,
-      settings: room.settings
+      settings: room.settings,
+      ledger: room.game.getLedger(),
+      stats: room.game.stats.summary()
     });
   });
 
+  // Client seed for the provably fair shuffle — applies from the next deal
+  socket.on('player:client_seed', ({ seed } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    const result = room.game.setClientSeed(info.playerId, seed);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(info.roomId);
+    socket.emit('player:client_seed_set', { seed: String(seed || '').slice(0, 64) });
+  });
+
+  // Sit out now or from the next hand; sitting in can post missed blinds
+  // straight away instead of waiting for the big blind
+  socket.on('player:sit_out', ({ nextHand } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    const result = room.game.sitOut(info.playerId, { nextHand: !!nextHand });
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(info.roomId);
+    actForAway(info.roomId);
+    if (!result.pending) broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${info.playerName} is sitting out.` });
+  });
+
+  socket.on('player:sit_in', ({ postBlind } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    const result = room.game.sitIn(info.playerId, { postBlind: !!postBlind });
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(info.roomId);
+    broadcastState(info.roomId);
+  });
+
+  // Queued check/fold, check, call or call any — null clears it
+  socket.on('game:pre_action', ({ type } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    const result = room.game.setPreAction(info.playerId, type ?? null);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    broadcastState(info.roomId);
+  });
+
+  // Agree (or not) to run the board twice when all-in. Counts for the next
+  // run-out that starts — every live player has to have it on.
+  socket.on('player:run_it_twice', ({ on } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    room.game.setRunItTwice(info.playerId, on);
+    persistRoom(info.roomId);
+    broadcastState(info.roomId);
+  });
+
+  // Straddle whenever you're under the gun, if the table allows it
+  socket.on('player:straddle', ({ on } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    room.game.setStraddle(info.playerId, on);
+    persistRoom(info.roomId);
+    broadcastState(info.roomId);
+  });
+
+  // Muck losing hands at showdown (the default) or always show them
+  socket.on('player:muck', ({ on } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    room.game.setMuck(info.playerId, on);
+    persistRoom(info.roomId);
+    broadcastState(info.roomId);
+  });
+
+  // Between hands: turn up some or all of your cards ({ cards: [indices] })
+  socket.on('game:show_cards', ({ cards } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    const result = room.game.showCards(info.playerId, cards);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    broadcastState(info.roomId);
+  });
+
+  // The board that would have come, if the host allows rabbit hunting
+  socket.on('game:rabbit_hunt', () => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    if (!room.settings.rabbitHunt) { socket.emit('error', { message: 'Rabbit hunting is off at this table' }); return; }
+    const result = room.game.rabbitHunt();
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    broadcastState(info.roomId);
+  });
+
+  // ── Host controls ──
+  socket.on('host:kick', ({ playerId } = {}) => removeByHost(socket, playerId, false));
+  socket.on('host:ban', ({ playerId } = {}) => removeByHost(socket, playerId, true));
+
+  socket.on('host:transfer', ({ playerId } = {}) => {
+    const host = hostRoom(socket, 'hand over hosting');
+    if (!host) return;
+    const p = host.room.game.players.find(p => p.id === playerId);
+    if (!p || p.bot || !p.connected) { socket.emit('error', { message: 'Pick a connected player' }); return; }
+    setHost(host.info.roomId, p.id);
+  });
+
+  // A locked table takes no new players; seated players can still reconnect
+  socket.on('host:lock', ({ locked } = {}) => {
+    const host = hostRoom(socket, 'lock the table');
+    if (!host) return;
+    host.room.locked = !!locked;
+    persistRoom(host.info.roomId);
+    broadcastState(host.info.roomId);
+    broadcastToRoom(host.info.roomId, 'chat', { system: true, msg: `Host ${locked ? 'locked' : 'unlocked'} the table.` });
+  });
+
+  // Make the next hand a bomb pot (or call it off)
+  socket.on('host:bomb_pot', ({ on = true } = {}) => {
+    const host = hostRoom(socket, 'call a bomb pot');
+    if (!host) return;
+    if (host.room.type === 'tournament') { socket.emit('error', { message: 'No bomb pots in a tournament' }); return; }
+    const result = host.room.game.callBombPot(on);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(host.info.roomId);
+    broadcastState(host.info.roomId);
+    broadcastToRoom(host.info.roomId, 'chat', { system: true, msg: on ? '💣 Host called a bomb pot for the next hand.' : 'Host called off the bomb pot.' });
+  });
+
+  socket.on('host:pause', () => {
+    const host = hostRoom(socket, 'pause the game');
+    if (!host) return;
+    const result = host.room.game.pause();
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    clearTurnTimer(host.info.roomId);
+    clearRunoutTimer(host.info.roomId);
+    persistRoom(host.info.roomId);
+    broadcastState(host.info.roomId);
+    broadcastToRoom(host.info.roomId, 'chat', { system: true, msg: 'Host paused the game.' });
+  });
+
+  socket.on('host:resume', () => {
+    const host = hostRoom(socket, 'resume the game');
+    if (!host) return;
+    const result = host.room.game.resume();
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(host.info.roomId);
+    broadcastToRoom(host.info.roomId, 'chat', { system: true, msg: 'Host resumed the game.' });
+    resumeTable(host.info.roomId);
+  });
+
+  // Leave the table between hands; an account player's chips go back to
+  // their bankroll
+  socket.on('player:leave', () => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room) return;
+    const result = room.game.leaveTable(info.playerId);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    const amount = cashOut(room, info.playerId, result.player.chips);
+    sessions.revokePlayer(info.roomId, info.playerId);
+    dropSockets(info.roomId, info.playerId, { message: `You left the table${amount ? ` — $${amount} back to your bankroll` : ''}` });
+    persistRoom(info.roomId);
+    passHostIfGone(info.roomId);
+    broadcastState(info.roomId);
+    broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${info.playerName} left the table.` });
+  });
+
+  // Rebuy / add-on — rules come from room settings
+  socket.on('player:rebuy', () => handleBuyIn(socket, 'rebuy'));
+  socket.on('player:addon', () => handleBuyIn(socket, 'addOn'));
+
   socket.on('game:action', ({ action, amount }) => {
     const info = socketToPlayer.get(socket.id);
     if (!info) return;
     const room = getRoom(info.roomId);
     if (!room) return;
-    clearTurnTimer(info.roomId);
     const result = room.game.applyAction(info.playerId, action, amount);
     if (result.error) { socket.emit('error', { message: result.error }); return; }
+    afterAction(info.roomId, result);
+  });
+
+  // Bots — host only, and only between hands
+  socket.on('bot:add', ({ strategy } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room || room.hostId !== info.playerId) { socket.emit('error', { message: 'Only the host can add bots' }); return; }
+    if (!bots.isStrategy(strategy)) { socket.emit('error', { message: 'Unknown bot strategy' }); return; }
+    if (room.game.players.length >= room.settings.maxPlayers) { socket.emit('error', { message: 'Table is full' }); return; }
+    const name = bots.botName(room.game.players.map(p => p.name));
+    const result = room.game.addPlayer(uuidv4(), name, room.settings.startingStack, bots.BOT_EMOJI, strategy);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(info.roomId);
     broadcastState(info.roomId);
-    if (result.advance === 'hand_over' || result.advance === 'showdown') {
-      broadcastToRoom(info.roomId, 'game:hand_over', { winners: result.winners });
-    } else {
-      broadcastCurrentTurn(info.roomId);
-      startTurnTimer(info.roomId);
-    }
+    broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${bots.BOT_EMOJI} ${name} (${bots.STRATEGIES[strategy].name} bot) joined the table.` });
+  });
+
+  socket.on('bot:remove', ({ playerId } = {}) => {
+    const info = socketToPlayer.get(socket.id);
+    if (!info) return;
+    const room = getRoom(info.roomId);
+    if (!room || room.hostId !== info.playerId) { socket.emit('error', { message: 'Only the host can remove bots' }); return; }
+    const bot = room.game.players.find(p => p.id === playerId && p.bot);
+    if (!bot) { socket.emit('error', { message: 'No such bot' }); return; }
+    const result = room.game.leaveTable(playerId);
+    if (result.error) { socket.emit('error', { message: result.error }); return; }
+    persistRoom(info.roomId);
+    broadcastState(info.roomId);
+    broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${bot.name} left the table.` });
   });
 
   // ── WebRTC signaling (fixed: send back existing peers) ──────
@@ -250,14 +1103,12 @@ io.on('connection', (socket) => {
     socket._webrtcRoom = rid;
   });
 
-  socket.on('webrtc:offer',  ({ to, offer })     => io.to(to).emit('webrtc:offer',  { from: socket.id, offer }));
-  socket.on('webrtc:answer', ({ to, answer })    => io.to(to).emit('webrtc:answer', { from: socket.id, answer }));
-  socket.on('webrtc:ice',    ({ to, candidate }) => io.to(to).emit('webrtc:ice',    { from: socket.id, candidate }));
-
   socket.on('chat:send', ({ msg }) => {
+    if (!msg) return;
     const info = socketToPlayer.get(socket.id);
-    if (!info || !msg) return;
-    broadcastToRoom(info.roomId, 'chat', { name: info.playerName, msg: msg.slice(0, 200) });
+    if (info) { broadcastToRoom(info.roomId, 'chat', { name: info.playerName, msg: msg.slice(0, 200) }); return; }
+    const spec = socketToSpectator.get(socket.id);
+    if (spec) broadcastToRoom(spec.roomId, 'chat', { name: spec.name, spectator: true, msg: msg.slice(0, 200) });
   });
 
   socket.on('disconnect', () => {
@@ -266,44 +1117,59 @@ io.on('connection', (socket) => {
       const room = getRoom(info.roomId);
       if (room) {
         room.game.removePlayer(info.playerId);
-        broadcastState(info.roomId);
+        if (room.hostId === info.playerId) startHostTimer(info.roomId);
+        persistRoom(info.roomId);
+        actForAway(info.roomId);
         broadcastToRoom(info.roomId, 'chat', { system: true, msg: `${info.playerName} disconnected.` });
       }
       socketToPlayer.delete(socket.id);
     }
+    const spec = socketToSpectator.get(socket.id);
+    if (spec) {
+      const room = getRoom(spec.roomId);
+      if (room) { room.spectators.delete(socket.id); broadcastState(spec.roomId); }
+      socketToSpectator.delete(socket.id);
+    }
     // Clean up WebRTC peer registry and notify peers
     if (socket._webrtcRoom) {
       const room = getRoom(socket._webrtcRoom);
       if (room && room.webrtcPeers) room.webrtcPeers.delete(socket.id);
       socket.to(socket._webrtcRoom).emit('webrtc:peer_left', { peerId: socket.id });
     }
-    console.log(`Socket disconnected: ${socket.id}`);
   });
-});
+}
 
 // ── Turn timer ───────────────────────────────────────────────
+// The deadline lives on the engine's clock (so it's in every state); this is
+// just the timeout that fires at it. A timeout whose clock has been replaced
+// — the turn moved on — does nothing.
 const turnTimers = new Map();
 function startTurnTimer(roomId) {
   const room = getRoom(roomId);
-  if (!room || !room.settings.turnTimer) return;
+  if (!room) return;
   clearTurnTimer(roomId);
-  const secs = room.settings.turnTimer;
-  broadcastToRoom(roomId, 'timer:start', { seconds: secs, playerId: room.game.getCurrentPlayer()?.id });
-  const t = setTimeout(() => {
-    const cp = room.game.getCurrentPlayer();
-    if (!cp) return;
-    console.log(`Timer expired for ${cp.name} — auto fold`);
-    broadcastToRoom(roomId, 'chat', { system: true, msg: `${cp.name} ran out of time — auto fold.` });
-    const result = room.game.applyAction(cp.id, 'fold');
-    broadcastState(roomId);
-    if (result.advance === 'hand_over' || result.advance === 'showdown') {
-      broadcastToRoom(roomId, 'game:hand_over', { winners: result.winners });
-    } else {
-      broadcastCurrentTurn(roomId);
-      startTurnTimer(roomId);
+  const clock = room.game.startClock(room.settings.turnTimer);
+  if (clock) scheduleClock(roomId, clock);
+}
+
+function scheduleClock(roomId, clock) {
+  const room = getRoom(roomId);
+  broadcastToRoom(roomId, 'timer:start', { playerId: clock.playerId, deadline: clock.deadline, seconds: clock.seconds, timeBank: clock.bankFrom !== null });
+  turnTimers.set(roomId, setTimeout(() => {
+    turnTimers.delete(roomId);
+    if (room.game.clock !== clock) return;
+    const result = room.game.expireClock();
+    if (result.error) return;
+    if (result.timeBank) {
+      broadcastState(roomId);
+      scheduleClock(roomId, clock);
+      return;
     }
-  }, secs * 1000);
-  turnTimers.set(roomId, t);
+    const p = room.game.players.find(p => p.id === result.timedOut.playerId);
+    console.log(`Timer expired for ${p.name} — auto ${result.timedOut.action}`);
+    broadcastToRoom(roomId, 'chat', { system: true, msg: `${p.name} ran out of time — auto ${result.timedOut.action}.` });
+    afterAction(roomId, result);
+  }, Math.max(0, clock.deadline - Date.now())));
 }
 
 function clearTurnTimer(roomId) {
@@ -315,18 +1181,323 @@ function broadcastCurrentTurn(roomId) {
   const room = getRoom(roomId);
   if (!room) return;
   const cp = room.game.getCurrentPlayer();
-  if (cp) broadcastToRoom(roomId, 'game:your_turn', { playerId: cp.id });
+  if (!cp) return;
+  broadcastToRoom(roomId, 'game:your_turn', { playerId: cp.id });
+  if (cp.bot) scheduleBotAction(roomId, cp.id);
+}
+
+// If the player to act just went away, check or fold for them now rather
+// than leaving the table to wait out the timer
+function actForAway(roomId) {
+  const room = getRoom(roomId);
+  const result = room && room.game.autoActIfAway();
+  if (!result) { broadcastState(roomId); return; }
+  clearTurnTimer(roomId);
+  afterAction(roomId, result);
+}
+
+// Players who sat out too long lose their seat and session; any socket they
+// still have open is told and dropped from the table
+function dropRemovedPlayers(roomId, removed) {
+  const room = getRoom(roomId);
+  for (const { id, name, chips, kicked } of removed) {
+    cashOut(room, id, chips);
+    // Kicked players were told and dropped when the host removed them
+    if (kicked) continue;
+    sessions.revokePlayer(roomId, id);
+    dropSockets(roomId, id, { message: 'You were removed from the table for sitting out too long' });
+    broadcastToRoom(roomId, 'chat', { system: true, msg: `${name} was removed for sitting out.` });
+  }
+  persistRoom(roomId);
+  passHostIfGone(roomId);
+}
+
+function dropSockets(roomId, playerId, notice) {
+  for (const [sid, info] of socketToPlayer) {
+    if (info.roomId !== roomId || info.playerId !== playerId) continue;
+    io.to(sid).emit('player:removed', notice);
+    io.in(sid).socketsLeave(roomId);
+    socketToPlayer.delete(sid);
+  }
+}
+
+// Pick the table up where the pause left it: the frozen clock runs on, and
+// whatever was waiting — a bot, a run-out, an away player's turn — goes ahead
+function resumeTable(roomId) {
+  const { game } = getRoom(roomId);
+  if (game.runningOut) {
+    broadcastState(roomId);
+    if (!runouts.has(roomId)) scheduleRunout(roomId);
+    return;
+  }
+  const result = game.autoActIfAway();
+  if (result) { clearTurnTimer(roomId); afterAction(roomId, result); return; }
+  if (game.clock) scheduleClock(roomId, game.clock);
+  broadcastState(roomId);
+  broadcastCurrentTurn(roomId);
+}
+
+// Shared tail of every action: humans, timeouts and bots. The next turn's
+// clock starts before the state goes out so the state carries its deadline.
+function afterAction(roomId, result) {
+  const turnNext = !['hand_over', 'showdown', 'runout'].includes(result.advance);
+  if (turnNext) startTurnTimer(roomId);
+  else clearTurnTimer(roomId);
+  if (result.advance === 'runout') { dealtWithEquity(roomId); return; }
+  broadcastState(roomId);
+  if (result.advance === 'hand_over' || result.advance === 'showdown') {
+    broadcastHandOver(roomId, result);
+  } else {
+    broadcastCurrentTurn(roomId);
+  }
+}
+
+// ── Run-out ──────────────────────────────────────────────────
+// Nobody can bet any more: deal the rest of the board a street at a time,
+// with a pause so the table sees each card land. Each street goes out with
+// the live hands' equity (dealtWithEquity); run twice, the second board
+// follows the first. A room has at most one street on the way: runouts
+// holds its timer, or { timer: null } while that street's equity is worked out.
+const RUNOUT_DELAY_MS = parseInt(process.env.RUNOUT_DELAY_MS ?? 1500);
+const runouts = new Map();
+function scheduleRunout(roomId) {
+  const handNumber = getRoom(roomId).game.handNumber;
+  runouts.set(roomId, { timer: setTimeout(() => {
+    runouts.delete(roomId);
+    const room = getRoom(roomId);
+    if (!room || room.game.handNumber !== handNumber || !room.game.runningOut || room.game.paused) return;
+    afterAction(roomId, room.game.continueRunout());
+  }, RUNOUT_DELAY_MS) });
+}
+
+// Pausing stops the next street; equity already being worked out finishes,
+// but it won't deal on while the game is paused
+function clearRunoutTimer(roomId) {
+  const pending = runouts.get(roomId);
+  if (pending?.timer) { clearTimeout(pending.timer); runouts.delete(roomId); }
+}
+
+// Equity can take a few hundred milliseconds, so it's worked out in slices
+// and every other table on the process keeps going meanwhile
+async function dealtWithEquity(roomId) {
+  const room = getRoom(roomId);
+  const { handNumber } = room.game;
+  const pending = { timer: null };
+  runouts.set(roomId, pending);
+  try {
+    await room.game.updateEquityAsync();
+  } catch (err) {
+    console.error(`Failed to work out equity in ${roomId}: ${err.message}`);
+  }
+  if (runouts.get(roomId) === pending) runouts.delete(roomId);
+  if (getRoom(roomId) !== room || room.game.handNumber !== handNumber) return;
+  broadcastState(roomId);
+  if (!room.game.paused) scheduleRunout(roomId);
+}
+
+// ── Lobby ────────────────────────────────────────────────────
+// Lobby watchers get the public room list whenever a public table changes,
+// at most once per LOBBY_UPDATE_MS. Room codes are upper case, so the
+// socket.io room name can't clash with a table. With several processes,
+// each lists its tables in Redis first and the watchers on all of them hear.
+const LOBBY = 'lobby';
+const LOBBY_UPDATE_MS = parseInt(process.env.LOBBY_UPDATE_MS ?? 1000);
+let lobbyTimer = null;
+function lobbyChanged() {
+  if (lobbyTimer) return;
+  lobbyTimer = setTimeout(async () => {
+    lobbyTimer = null;
+    try {
+      if (cluster.shared) await cluster.publishLobby(publicRooms());
+      io.to(LOBBY).emit('lobby:rooms', { rooms: await lobbyRooms() });
+    } catch (err) {
+      console.error(`Failed to update the lobby: ${err.message}`);
+    }
+  }, LOBBY_UPDATE_MS);
+}
+
+// ── Host handoff ─────────────────────────────────────────────
+// A host who stays disconnected for HOST_TIMEOUT_MS (or loses their seat)
+// hands over to the first connected player at the table, or to the next one
+// to join if there's nobody.
+const HOST_TIMEOUT_MS = parseInt(process.env.HOST_TIMEOUT_MS ?? 60000);
+const hostTimers = new Map();
+function startHostTimer(roomId) {
+  clearHostTimer(roomId);
+  hostTimers.set(roomId, setTimeout(() => {
+    hostTimers.delete(roomId);
+    const room = getRoom(roomId);
+    if (!room || room.game.players.find(p => p.id === room.hostId)?.connected) return;
+    room.hostAway = true;
+    passHostIfGone(roomId);
+  }, HOST_TIMEOUT_MS));
+}
+
+function clearHostTimer(roomId) {
+  if (hostTimers.has(roomId)) { clearTimeout(hostTimers.get(roomId)); hostTimers.delete(roomId); }
+  const room = getRoom(roomId);
+  if (room) room.hostAway = false;
+}
+
+function passHostIfGone(roomId) {
+  const room = getRoom(roomId);
+  if (!room) return;
+  const seated = room.game.players.some(p => p.id === room.hostId);
+  if (seated && !room.hostAway) return;
+  const next = room.game.players.find(p => p.connected && !p.bot && p.id !== room.hostId);
+  if (next) setHost(roomId, next.id);
+}
+
+function setHost(roomId, playerId) {
+  const room = getRoom(roomId);
+  room.hostId = playerId;
+  clearHostTimer(roomId);
+  persistRoom(roomId);
+  broadcastState(roomId);
+  const p = room.game.players.find(p => p.id === playerId);
+  broadcastToRoom(roomId, 'room:host_changed', { hostId: playerId });
+  broadcastToRoom(roomId, 'chat', { system: true, msg: `${p.name} is now the host.` });
 }
 
-// Cleanup empty rooms every hour
+// ── Bots ─────────────────────────────────────────────────────
+// A short pause so bot moves can be followed at the table
+const BOT_DELAY_MS = parseInt(process.env.BOT_DELAY_MS ?? 800);
+function scheduleBotAction(roomId, playerId) {
+  setTimeout(() => {
+    const room = getRoom(roomId);
+    // The table may have moved on (new game, hand ended) while we waited
+    if (!room || room.game.getCurrentPlayer()?.id !== playerId) return;
+    if (!['preflop', 'flop', 'turn', 'river'].includes(room.game.phase) || room.game.paused) return;
+    clearTurnTimer(roomId);
+    const { action, amount } = bots.decide(room.game, playerId);
+    let result = room.game.applyAction(playerId, action, amount);
+    // A strategy should only pick legal moves, but never let a bot stall the table
+    if (result.error) result = room.game.applyAction(playerId, room.game.getBetLimits(room.game.getCurrentPlayer()).canCheck ? 'check' : 'fold');
+    afterAction(roomId, result);
+  }, BOT_DELAY_MS);
+}
+
+// Archive rooms nobody (but bots) is sitting at, every hour
 setInterval(() => {
   const cutoff = Date.now() - 3 * 60 * 60 * 1000;
   for (const [id, room] of rooms.entries()) {
-    if (room.createdAt < cutoff && room.game.players.filter(p => p.connected).length === 0) {
-      rooms.delete(id); console.log(`Cleaned room ${id}`);
+    if (room.createdAt < cutoff && room.game.players.filter(p => p.connected && !p.bot).length === 0) {
+      const inHand = ['preflop', 'flop', 'turn', 'river'].includes(room.game.phase);
+      for (const p of room.game.players) cashOut(room, p.id, p.chips + (inHand ? p.totalBet : 0));
+      persistRoom(id);
+      settle(`archive room ${id}`, () => store.archiveRoom(id));
+      settle(`release room ${id}`, () => cluster.release(id));
+      sessions.dropRoom(id);
+      rooms.delete(id); console.log(`Archived room ${id}`);
+      lobbyChanged();
     }
   }
+  sessions.prune();
 }, 60 * 60 * 1000);
 
+// ── Cluster ──────────────────────────────────────────────────
+// What other processes (and the HTTP API) can ask about a table that lives here
+const roomCalls = {
+  summary: roomId => { const room = getRoom(roomId); return room ? roomSummary(roomId, room) : null; },
+  stats: roomId => {
+    const room = getRoom(roomId);
+    return room ? { roomId, hands: room.game.handNumber, stats: room.game.stats.summary() } : null;
+  },
+  seedsRevealedThrough: roomId => getRoom(roomId)?.game.seedsRevealedThrough ?? null,
+  access: (roomId, password, token) => {
+    const room = getRoom(roomId);
+    if (!room) return null;
+    const session = sessions.resolve(token);
+    const viewer = session && session.roomId === roomId && !session.banned ? session.playerId : null;
+    return { allowed: !!viewer || checkPassword(room, password), viewer };
+  }
+};
+cluster.handle('room', (method, roomId, ...args) => roomCalls[method](roomId, ...args));
+cluster.handle('deliver', (sid, event, args) => inOrder(sid, event, () => deliver(sid, event, args)));
+
+// Null when there's no such table
+async function onRoomOwner(roomId, method, ...args) {
+  const owner = await cluster.locate(roomId);
+  if (!owner) return null;
+  if (owner === cluster.nodeId) return roomCalls[method](roomId, ...args);
+  return cluster.call(owner, 'room', [method, roomId, ...args]);
+}
+
+// A table this process just took over from one that stopped. As after a
+// restart, a hand in progress is called off (see PokerGame.snapshot) and
+// nobody is connected until they rejoin — room:reload tells them to.
+function adoptRoom(data) {
+  rooms.set(data.roomId, restoreRoom(data));
+  startHostTimer(data.roomId);
+  io.to(data.roomId).emit('room:reload', { roomId: data.roomId });
+  console.log(`Took over room ${data.roomId}`);
+}
+
+// Another process holds the table now (this one stalled past its lease):
+// forget it without saving anything
+function dropRoom(roomId) {
+  clearTimeout(turnTimers.get(roomId));
+  turnTimers.delete(roomId);
+  clearTimeout(runouts.get(roomId)?.timer);
+  runouts.delete(roomId);
+  clearHostTimer(roomId);
+  rooms.delete(roomId);
+  sessions.dropRoom(roomId);
+  for (const map of [socketToPlayer, socketToSpectator]) {
+    for (const [sid, info] of map) {
+      if (info.roomId !== roomId) continue;
+      map.delete(sid);
+      tableSockets.delete(sid);
+    }
+  }
+  console.log(`Lost the lease on room ${roomId}`);
+}
+
+// Sockets at a table here may be connected to another process; if that one
+// stops, their disconnects never arrive. Anyone no process still has is
+// gone. Only sockets seated before the check count — a join is sent out
+// ahead of it, so the answer includes them.
+async function sweepGhosts(roomId) {
+  const seated = [...socketToPlayer, ...socketToSpectator].filter(([, info]) => info.roomId === roomId).map(([sid]) => sid);
+  if (!seated.length) return;
+  const live = new Set((await io.in(roomId).fetchSockets()).map(s => s.id));
+  for (const sid of seated) if (!live.has(sid)) deliver(sid, 'disconnect', []);
+}
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`♠ Poker server running on port ${PORT}`));
\ No newline at end of file
+function listen() {
+  server.listen(PORT, () => console.log(`♠ Poker server running on port ${PORT}`));
+}
+
+if (cluster.shared) {
+  setInterval(() => {
+    for (const id of rooms.keys()) sweepGhosts(id).catch(() => {});
+    cluster.publishLobby(publicRooms()).catch(() => {});
+  }, ROOM_LEASE_MS);
+  // Leave the tables for the other processes on the way out
+  process.on('SIGTERM', async () => {
+    for (const id of rooms.keys()) persistRoom(id);
+    await cluster.stop().catch(() => {});
+    process.exit(0);
+  });
+  cluster.start().then(() => {
+    console.log(`Node ${cluster.nodeId} joined the cluster`);
+    listen();
+  }, err => {
+    console.error(`Cannot reach Redis at ${process.env.REDIS_URL}: ${err.message}`);
+    process.exit(1);
+  });
+} else {
+  // Reload saved rooms from the last run
+  for (const data of store.loadRooms()) {
+    try {
+      rooms.set(data.roomId, restoreRoom(data));
+    } catch (err) {
+      console.error(`Failed to restore room ${data.roomId}: ${err.message}`);
+    }
+  }
+  if (rooms.size) console.log(`Restored ${rooms.size} room(s) from disk`);
+  // Nobody is connected after a restart, hosts included
+  for (const id of rooms.keys()) startHostTimer(id);
+  listen();
+}
\ No newline at end of file
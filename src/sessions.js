@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// ─── SESSION TOKENS ──────────────────────────────────────────────────────────
+// A session token is the secret that proves a socket owns a seat. Player ids
+// are public (every game:state carries them), so reconnects go by token only.
+// Only a SHA-256 of each token is kept, so a leaked data file can't be
+// replayed to take over a seat.
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class SessionStore {
+  constructor(ttlMs = DEFAULT_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map(); // hash -> { roomId, playerId, expiresAt, banned }
+  }
+
+  issue(roomId, playerId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(hashToken(token), { roomId, playerId, expiresAt: Date.now() + this.ttlMs });
+    return token;
+  }
+
+  // Returns { roomId, playerId, banned } for a live token and slides its expiry
+  resolve(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    const s = this.sessions.get(hash);
+    if (!s) return null;
+    if (s.expiresAt <= Date.now()) { this.sessions.delete(hash); return null; }
+    s.expiresAt = Date.now() + this.ttlMs;
+    return { roomId: s.roomId, playerId: s.playerId, banned: !!s.banned };
+  }
+
+  // A banned player's tokens stay on file, no longer good for the seat but
+  // recognised if they try to come back with them
+  ban(roomId, playerId) {
+    for (const s of this.sessions.values()) {
+      if (s.roomId === roomId && s.playerId === playerId) s.banned = true;
+    }
+  }
+
+  revokePlayer(roomId, playerId) {
+    for (const [hash, s] of this.sessions) {
+      if (s.roomId === roomId && s.playerId === playerId) this.sessions.delete(hash);
+    }
+  }
+
+  // Persistence helpers — hashes only, never raw tokens
+  forRoom(roomId) {
+    return [...this.sessions.entries()]
+      .filter(([, s]) => s.roomId === roomId)
+      .map(([hash, s]) => ({ hash, playerId: s.playerId, expiresAt: s.expiresAt, banned: !!s.banned }));
+  }
+
+  loadRoom(roomId, list = []) {
+    for (const { hash, playerId, expiresAt, banned } of list) {
+      if (expiresAt > Date.now()) this.sessions.set(hash, { roomId, playerId, expiresAt, banned: !!banned });
+    }
+  }
+
+  dropRoom(roomId) {
+    for (const [hash, s] of this.sessions) if (s.roomId === roomId) this.sessions.delete(hash);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [hash, s] of this.sessions) if (s.expiresAt <= now) this.sessions.delete(hash);
+  }
+}
+
+module.exports = { SessionStore };
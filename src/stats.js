@@ -0,0 +1,99 @@
+// ─── SESSION STATS ───────────────────────────────────────────────────────────
+// Per-player counts over a session, built from each finished hand record
+// (see PokerGame.finishHandRecord), so they follow exactly what was played:
+//   VPIP  — put money in preflop voluntarily (blinds and antes don't count)
+//   PFR   — raised preflop
+//   AF    — aggression factor: bets and raises per call, all streets
+//   WTSD  — went to showdown, of the hands where they saw the flop
+//   W$SD  — won something, of the showdowns they went to
+//   net   — chips won or lost in those hands
+
+function emptyCounts(name) {
+  return { name, hands: 0, vpip: 0, pfr: 0, aggressive: 0, calls: 0, sawFlop: 0, showdowns: 0, wonAtShowdown: 0, net: 0 };
+}
+
+function pct(n, of) {
+  return of ? Math.round(n / of * 1000) / 10 : null;
+}
+
+class SessionStats {
+  constructor(players = {}) {
+    this.players = players; // id -> counts
+  }
+
+  recordHand(hand) {
+    const folded = new Set();
+    const vpip = new Set();
+    const pfr = new Set();
+    const showdown = new Set();
+    let flopSeen = null;
+    for (const e of hand.events) {
+      if (e.type === 'board' && !flopSeen) {
+        flopSeen = new Set(hand.seats.map(s => s.id).filter(id => !folded.has(id)));
+      } else if (e.type === 'action') {
+        const c = this.counts(e.playerId, hand);
+        const raised = (e.action === 'raise' || e.action === 'allin') && e.to > e.facing;
+        if (e.action === 'fold') folded.add(e.playerId);
+        else if (raised) c.aggressive++;
+        else if (e.amount > 0) c.calls++;
+        if (!flopSeen && e.amount > 0) vpip.add(e.playerId);
+        if (!flopSeen && raised) pfr.add(e.playerId);
+      } else if (e.type === 'show' || e.type === 'muck') {
+        showdown.add(e.playerId);
+      }
+    }
+
+    const winners = new Set(hand.results.filter(r => r.amount > 0).map(r => r.playerId));
+    for (const seat of hand.seats) {
+      const c = this.counts(seat.id, hand);
+      const after = hand.finalStacks.find(f => f.id === seat.id);
+      c.hands++;
+      if (vpip.has(seat.id)) c.vpip++;
+      if (pfr.has(seat.id)) c.pfr++;
+      if (flopSeen?.has(seat.id)) c.sawFlop++;
+      if (showdown.has(seat.id)) {
+        c.showdowns++;
+        if (winners.has(seat.id)) c.wonAtShowdown++;
+      }
+      if (after) c.net += after.chips - seat.chips;
+    }
+  }
+
+  counts(id, hand) {
+    const name = hand.seats.find(s => s.id === id)?.name || id;
+    const c = this.players[id] || (this.players[id] = emptyCounts(name));
+    c.name = name;
+    return c;
+  }
+
+  forPlayer(id) {
+    const c = this.players[id];
+    if (!c) return null;
+    return {
+      id,
+      name: c.name,
+      hands: c.hands,
+      vpip: pct(c.vpip, c.hands),
+      pfr: pct(c.pfr, c.hands),
+      af: c.calls ? Math.round(c.aggressive / c.calls * 10) / 10 : null,
+      wtsd: pct(c.showdowns, c.sawFlop),
+      wsd: pct(c.wonAtShowdown, c.showdowns),
+      net: c.net
+    };
+  }
+
+  // Everyone who played this session, biggest winner first
+  summary() {
+    return Object.keys(this.players).map(id => this.forPlayer(id)).sort((a, b) => b.net - a.net);
+  }
+
+  reset() {
+    this.players = {};
+  }
+
+  snapshot() {
+    return this.players;
+  }
+}
+
+module.exports = { SessionStats };
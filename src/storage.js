@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── JSON FILE STORE ─────────────────────────────────────────────────────────
+// One file per room under <dir>/rooms, finished hands appended as JSON lines
+// under <dir>/hands, retired rooms moved to <dir>/archive, and player
+// accounts in <dir>/accounts.json.
+// Writes are synchronous and go through a temp file + rename so a crash
+// never leaves a half-written room behind.
+class JsonStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.roomsDir = path.join(dir, 'rooms');
+    this.handsDir = path.join(dir, 'hands');
+    this.archiveDir = path.join(dir, 'archive');
+    this.accountsFile = path.join(dir, 'accounts.json');
+    for (const d of [this.roomsDir, this.handsDir, this.archiveDir]) fs.mkdirSync(d, { recursive: true });
+  }
+
+  loadRooms() {
+    const rooms = [];
+    for (const file of fs.readdirSync(this.roomsDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        rooms.push(JSON.parse(fs.readFileSync(path.join(this.roomsDir, file), 'utf8')));
+      } catch (err) {
+        console.error(`Skipping unreadable room file ${file}: ${err.message}`);
+      }
+    }
+    return rooms;
+  }
+
+  saveRoom(roomId, data) {
+    this.writeAtomic(path.join(this.roomsDir, `${roomId}.json`), data);
+  }
+
+  loadAccounts() {
+    if (!fs.existsSync(this.accountsFile)) return {};
+    return JSON.parse(fs.readFileSync(this.accountsFile, 'utf8'));
+  }
+
+  saveAccounts(data) {
+    this.writeAtomic(this.accountsFile, data);
+  }
+
+  writeAtomic(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  appendHand(roomId, hand) {
+    fs.appendFileSync(path.join(this.handsDir, `${roomId}.jsonl`), JSON.stringify(hand) + '\n');
+  }
+
+  loadHands(roomId) {
+    const file = path.join(this.handsDir, `${roomId}.jsonl`);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // Move a room (and its hand history) out of the live set
+  archiveRoom(roomId) {
+    const moves = [
+      [path.join(this.roomsDir, `${roomId}.json`), path.join(this.archiveDir, `${roomId}.json`)],
+      [path.join(this.handsDir, `${roomId}.jsonl`), path.join(this.archiveDir, `${roomId}.hands.jsonl`)],
+    ];
+    for (const [from, to] of moves) {
+      if (fs.existsSync(from)) fs.renameSync(from, to);
+    }
+  }
+}
+
+// ─── REDIS STORE ─────────────────────────────────────────────────────────────
+// For several processes sharing one Redis (see cluster.js): rooms in one
+// hash, each room's hands in a list, retired rooms renamed under archive:.
+// The same calls as JsonStore, but every one returns a promise. Accounts
+// aren't here — they stay in a JsonStore.
+class RedisStore {
+  constructor(redis, prefix = 'poker:') {
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  roomIds() {
+    return this.redis.command('HKEYS', this.key('rooms'));
+  }
+
+  async loadRoom(roomId) {
+    const raw = await this.redis.command('HGET', this.key('rooms'), roomId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async loadRooms() {
+    const flat = await this.redis.command('HGETALL', this.key('rooms'));
+    const rooms = [];
+    for (let i = 1; i < flat.length; i += 2) rooms.push(JSON.parse(flat[i]));
+    return rooms;
+  }
+
+  saveRoom(roomId, data) {
+    return this.redis.command('HSET', this.key('rooms'), roomId, JSON.stringify(data));
+  }
+
+  appendHand(roomId, hand) {
+    return this.redis.command('RPUSH', this.key('hands', roomId), JSON.stringify(hand));
+  }
+
+  async loadHands(roomId) {
+    const lines = await this.redis.command('LRANGE', this.key('hands', roomId), 0, -1);
+    return lines.map(line => JSON.parse(line));
+  }
+
+  async archiveRoom(roomId) {
+    const raw = await this.redis.command('HGET', this.key('rooms'), roomId);
+    if (raw) {
+      await this.redis.command('SET', this.key('archive', 'room', roomId), raw);
+      await this.redis.command('HDEL', this.key('rooms'), roomId);
+    }
+    if (await this.redis.command('EXISTS', this.key('hands', roomId))) {
+      await this.redis.command('RENAME', this.key('hands', roomId), this.key('archive', 'hands', roomId));
+    }
+  }
+}
+
+module.exports = { JsonStore, RedisStore };
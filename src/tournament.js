@@ -0,0 +1,273 @@
+const { PokerGame } = require('./game');
+const { isVariant, getVariant } = require('./variants');
+
+// ─── BLIND SCHEDULE ──────────────────────────────────────────────────────────
+// [small blind, big blind, ante]
+const DEFAULT_LEVELS = [
+  [10, 20, 0], [15, 30, 0], [25, 50, 5], [50, 100, 10], [75, 150, 15],
+  [100, 200, 25], [150, 300, 40], [200, 400, 50], [300, 600, 75],
+  [400, 800, 100], [600, 1200, 150], [800, 1600, 200], [1000, 2000, 300]
+].map(([smallBlind, bigBlind, ante]) => ({ smallBlind, bigBlind, ante }));
+
+const DEFAULT_PAYOUTS = [50, 30, 20]; // percent of prize pool by finishing place
+
+function defaultTournamentConfig() {
+  return {
+    levels: DEFAULT_LEVELS,
+    levelBy: 'time',     // 'time' (minutes) or 'hands'
+    levelLength: 10,     // minutes or hands per level
+    startingStack: 1500,
+    buyIn: 100,          // prize pool contribution per entrant
+    payouts: DEFAULT_PAYOUTS,
+    variant: 'holdem',
+    bettingStructure: 'no-limit',
+  };
+}
+
+// Merge a client-supplied config over the defaults, dropping anything invalid
+function normalizeConfig(cfg = {}) {
+  const c = defaultTournamentConfig();
+  if (Array.isArray(cfg.levels) && cfg.levels.length) {
+    const levels = cfg.levels
+      .map(l => ({ smallBlind: parseInt(l.smallBlind), bigBlind: parseInt(l.bigBlind), ante: parseInt(l.ante) || 0 }))
+      .filter(l => l.smallBlind >= 1 && l.bigBlind > l.smallBlind && l.ante >= 0);
+    if (levels.length) c.levels = levels;
+  }
+  if (cfg.levelBy === 'time' || cfg.levelBy === 'hands') c.levelBy = cfg.levelBy;
+  if (cfg.levelLength >= 1) c.levelLength = parseInt(cfg.levelLength);
+  if (cfg.startingStack >= 100) c.startingStack = parseInt(cfg.startingStack);
+  if (cfg.buyIn >= 0) c.buyIn = parseInt(cfg.buyIn);
+  if (isVariant(cfg.variant)) c.variant = cfg.variant;
+  // Without a structure of its own the game gets its usual one (PLO is pot-limit)
+  c.bettingStructure = getVariant(c.variant).defaultStructure;
+  if (['no-limit', 'pot-limit', 'fixed-limit'].includes(cfg.bettingStructure)) c.bettingStructure = cfg.bettingStructure;
+  if (Array.isArray(cfg.payouts) && cfg.payouts.length) {
+    const payouts = cfg.payouts.map(Number).filter(p => p > 0);
+    const total = payouts.reduce((a, b) => a + b, 0);
+    if (payouts.length && total <= 100) c.payouts = payouts;
+  }
+  return c;
+}
+
+// ─── TOURNAMENT ENGINE ───────────────────────────────────────────────────────
+class TournamentGame extends PokerGame {
+  constructor(roomId, config) {
+    super(roomId);
+    this.config = normalizeConfig(config);
+    this.defaultStack = this.config.startingStack;
+    this.resetTournament();
+  }
+
+  resetTournament() {
+    this.level = 0;
+    this.startedAt = null;
+    this.entrants = 0;
+    this.finishOrder = []; // { id, name, place } — filled as players bust
+    this.finished = false;
+    this.handStartStacks = {};
+    this.applyLevel();
+  }
+
+  applyLevel() {
+    const l = this.config.levels[this.level];
+    this.SMALL_BLIND = l.smallBlind;
+    this.BIG_BLIND = l.bigBlind;
+    this.ANTE = l.ante;
+  }
+
+  // Level the next hand should be played at
+  currentLevelIndex() {
+    if (!this.startedAt) return 0;
+    const { levelBy, levelLength, levels } = this.config;
+    const elapsed = levelBy === 'hands'
+      ? this.handNumber
+      : (Date.now() - this.startedAt) / 60000;
+    return Math.min(levels.length - 1, Math.floor(elapsed / levelLength));
+  }
+
+  addPlayer(id, name, startingStack, emoji, bot) {
+    const existing = this.players.find(p => p.id === id);
+    if (this.startedAt && !existing) return { error: 'Tournament already started' };
+    return super.addPlayer(id, name, this.config.startingStack, emoji, bot);
+  }
+
+  // Seats are fixed once the cards are in the air — busted players stay for the standings
+  leaveTable(id, reason) {
+    if (this.startedAt && !this.finished) return { error: 'Tournament in progress' };
+    return super.leaveTable(id, reason);
+  }
+
+  kickPlayer(id) {
+    if (this.startedAt && !this.finished) return { error: 'Tournament in progress' };
+    return super.kickPlayer(id);
+  }
+
+  rebuy() { return { error: 'Rebuys are not available in tournaments' }; }
+  addOn() { return { error: 'Add-ons are not available in tournaments' }; }
+  // Away players are checked and folded instead; sitOut marks the eliminated
+  sitOut() { return { error: 'Sitting out is not available in tournaments' }; }
+  sitIn() { return { error: 'Sitting out is not available in tournaments' }; }
+
+  canStart() {
+    return !this.finished && super.canStart();
+  }
+
+  // Blinds come from the schedule, never from room settings. Only the
+  // table's time bank settings are taken from them.
+  startHand(settings = {}) {
+    if (this.finished) return { error: 'Tournament is over' };
+    if (!this.startedAt) {
+      if (this.activePlayers().length < 2) return { error: 'Need at least 2 players' };
+      this.startedAt = Date.now();
+      this.entrants = this.players.filter(p => p.chips > 0).length;
+      this.addLog(`Tournament started with ${this.entrants} players.`);
+    }
+
+    let levelUp = null;
+    const next = this.currentLevelIndex();
+    if (next !== this.level) {
+      this.level = next;
+      levelUp = this.levelInfo();
+      this.addLog(`Level ${this.level + 1}: blinds $${levelUp.smallBlind}/$${levelUp.bigBlind}` +
+        (levelUp.ante ? ` ante $${levelUp.ante}` : ''));
+    }
+    this.applyLevel();
+
+    this.handStartStacks = {};
+    for (const p of this.players) this.handStartStacks[p.id] = p.chips;
+
+    const { timeBank, timeBankRefill, timeBankRefillHands } = settings;
+    const result = super.startHand({
+      ante: this.ANTE, variant: this.config.variant, bettingStructure: this.config.bettingStructure,
+      timeBank, timeBankRefill, timeBankRefillHands
+    });
+    if (result.error) return result;
+    return { ...result, levelUp };
+  }
+
+  // A hand ends from an action or at the end of an all-in run-out
+  advanceTurn() {
+    return this.afterHand(super.advanceTurn());
+  }
+
+  continueRunout() {
+    return this.afterHand(super.continueRunout());
+  }
+
+  // Nested results (an away player's automatic action ending the hand) are
+  // already recorded
+  afterHand(result) {
+    if ((result.advance === 'hand_over' || result.advance === 'showdown') && !result.eliminated) {
+      Object.assign(result, this.recordEliminations());
+    }
+    return result;
+  }
+
+  // Busted players get places from the bottom up. Players busting in the same
+  // hand are ranked by the stack they started it with.
+  recordEliminations() {
+    const done = new Set(this.finishOrder.map(f => f.id));
+    const alive = this.players.filter(p => p.chips > 0);
+    const busted = this.players
+      .filter(p => p.chips <= 0 && !done.has(p.id) && this.handStartStacks[p.id] > 0)
+      .sort((a, b) => this.handStartStacks[b.id] - this.handStartStacks[a.id]);
+
+    const eliminated = busted.map((p, i) => {
+      const place = alive.length + 1 + i;
+      p.sitOut = true;
+      this.addLog(`${p.name} is eliminated in ${ordinal(place)} place.`);
+      return { id: p.id, name: p.name, place, prize: this.prizeFor(place) };
+    });
+    this.finishOrder.push(...eliminated);
+
+    let standings = null;
+    if (alive.length === 1 && this.entrants > 1) {
+      const champ = alive[0];
+      this.finishOrder.push({ id: champ.id, name: champ.name, place: 1, prize: this.prizeFor(1) });
+      this.finished = true;
+      this.addLog(`🏆 ${champ.name} wins the tournament!`);
+      standings = this.standings();
+    }
+    return { eliminated, tournamentOver: this.finished, standings };
+  }
+
+  prizePool() {
+    return this.entrants * this.config.buyIn;
+  }
+
+  // With fewer entrants than paid places, the places nobody can finish in
+  // are dropped and the rest scaled up to pay out the same share of the pool.
+  // Odd chips from rounding go to first place.
+  prizeFor(place) {
+    const paid = this.config.payouts.slice(0, Math.max(1, this.entrants));
+    if (place > paid.length) return 0;
+    const sum = pcts => pcts.reduce((a, b) => a + b, 0);
+    const share = this.prizePool() * sum(this.config.payouts) / 100;
+    const amounts = paid.map(pct => Math.floor(share * pct / sum(paid)));
+    if (place === 1) amounts[0] += Math.round(share) - sum(amounts);
+    return amounts[place - 1];
+  }
+
+  standings() {
+    return [...this.finishOrder].sort((a, b) => a.place - b.place);
+  }
+
+  levelInfo() {
+    const l = this.config.levels[this.level];
+    return { level: this.level + 1, smallBlind: l.smallBlind, bigBlind: l.bigBlind, ante: l.ante };
+  }
+
+  getTournamentState() {
+    const { levelBy, levelLength, levels, payouts } = this.config;
+    const info = {
+      ...this.levelInfo(),
+      levelBy,
+      started: !!this.startedAt,
+      finished: this.finished,
+      entrants: this.entrants,
+      remaining: this.players.filter(p => p.chips > 0).length,
+      prizePool: this.prizePool(),
+      payouts: payouts.map((pct, i) => ({ place: i + 1, pct, amount: this.prizeFor(i + 1) })),
+      standings: this.standings(),
+      nextLevel: levels[this.level + 1] || null,
+    };
+    if (this.startedAt && info.nextLevel) {
+      if (levelBy === 'hands') info.handsUntilNextLevel = (this.level + 1) * levelLength - this.handNumber;
+      else info.nextLevelAt = this.startedAt + (this.level + 1) * levelLength * 60000;
+    }
+    return info;
+  }
+
+  getStateFor(playerId) {
+    return { ...super.getStateFor(playerId), tournament: this.getTournamentState() };
+  }
+
+  snapshot() {
+    return {
+      ...super.snapshot(),
+      config: this.config,
+      level: this.level,
+      startedAt: this.startedAt,
+      entrants: this.entrants,
+      finishOrder: this.finishOrder,
+      finished: this.finished
+    };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.level = data.level;
+    this.startedAt = data.startedAt;
+    this.entrants = data.entrants;
+    this.finishOrder = data.finishOrder || [];
+    this.finished = !!data.finished;
+    this.applyLevel();
+  }
+}
+
+function ordinal(n) {
+  const s = ['th', 'st', 'nd', 'rd'], v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+module.exports = { TournamentGame, defaultTournamentConfig, normalizeConfig, ordinal };
@@ -0,0 +1,58 @@
+const { RANKS, bestOf7, bestOmaha, bestOmahaLow } = require('./evaluator');
+
+// ─── GAME VARIANTS ───────────────────────────────────────────────────────────
+// A variant decides the deck, how many hole cards are dealt and how hands are
+// scored. evaluate(hole, board) returns the high hand ({ rank, name, score },
+// higher wins); split-pot games add `low` ({ name, score }, lower wins, null
+// when the hand has no qualifying low). Betting rounds are the same for all.
+const VARIANTS = {
+  holdem: {
+    id: 'holdem',
+    name: "Texas Hold'em",
+    historyName: "Hold'em",
+    holeCards: 2,
+    ranks: RANKS,
+    defaultStructure: 'no-limit',
+    evaluate: (hole, board) => bestOf7([...hole, ...board])
+  },
+  omaha: {
+    id: 'omaha',
+    name: 'Omaha',
+    historyName: 'Omaha',
+    holeCards: 4,
+    ranks: RANKS,
+    defaultStructure: 'pot-limit',
+    evaluate: (hole, board) => bestOmaha(hole, board)
+  },
+  omaha8: {
+    id: 'omaha8',
+    name: 'Omaha Hi-Lo',
+    historyName: 'Omaha Hi/Lo',
+    holeCards: 4,
+    ranks: RANKS,
+    hiLo: true,
+    defaultStructure: 'pot-limit',
+    evaluate: (hole, board) => ({ ...bestOmaha(hole, board), low: bestOmahaLow(hole, board) })
+  },
+  shortdeck: {
+    id: 'shortdeck',
+    name: "Short Deck Hold'em",
+    historyName: "6+ Hold'em",
+    holeCards: 2,
+    ranks: RANKS.filter(r => !['2', '3', '4', '5'].includes(r)),
+    defaultStructure: 'no-limit',
+    evaluate: (hole, board) => bestOf7([...hole, ...board], { shortDeck: true })
+  }
+};
+
+const DEFAULT_VARIANT = 'holdem';
+
+function isVariant(id) {
+  return typeof id === 'string' && Object.hasOwn(VARIANTS, id);
+}
+
+function getVariant(id) {
+  return VARIANTS[isVariant(id) ? id : DEFAULT_VARIANT];
+}
+
+module.exports = { VARIANTS, DEFAULT_VARIANT, isVariant, getVariant };
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { MiniRedis } = require('../src/miniRedis');
+const { RedisClient } = require('../src/redis');
+const { createRoom, client, once, stateWhere, join } = require('./helpers');
+
+// Two server processes sharing the in-memory Redis stand-in, each with its
+// own port and data dir. Short leases so a takeover happens within the test.
+let redis, redisUrl;
+const nodes = {};
+
+async function startNode(name) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `poker-cluster-${name}-`));
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const proc = spawn(process.execPath, [path.join(__dirname, '../src/server.js')], {
+    env: {
+      ...process.env, PORT: String(port), DATA_DIR: dataDir, REDIS_URL: redisUrl, NODE_ID: name,
+      ROOM_LEASE_MS: '900', BOT_DELAY_MS: '0', RUNOUT_DELAY_MS: '0', LOBBY_UPDATE_MS: '50'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    proc.stdout.on('data', d => { if (String(d).includes('running on port')) resolve(); });
+    proc.on('exit', code => reject(new Error(`node ${name} exited with ${code}`)));
+  });
+  nodes[name] = { proc, dataDir, base: `http://localhost:${port}` };
+}
+
+test.before(async () => {
+  redis = new MiniRedis();
+  redisUrl = `redis://127.0.0.1:${await redis.listen(0)}`;
+  await startNode('a');
+  await startNode('b');
+});
+
+test.after(async () => {
+  for (const { proc, dataDir } of Object.values(nodes)) {
+    if (proc.exitCode === null && proc.signalCode === null) {
+      const exited = new Promise(resolve => proc.once('exit', resolve));
+      proc.kill();
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  await redis.close();
+});
+
+// Resolves on the chat line with this text (join notices can still be on their way)
+function chatSaying(socket, msg) {
+  return new Promise(resolve => {
+    const check = d => { if (d.msg === msg) { socket.off('chat', check); resolve(d); } };
+    socket.on('chat', check);
+  });
+}
+
+let roomId, bSeat;
+
+test('players connected to different processes share a table', { timeout: 20000 }, async (t) => {
+  roomId = await createRoom(nodes.a.base, { name: 'Shared' });
+  const a = client(t, nodes.a.base);
+  const b = client(t, nodes.b.base);
+  const aSeat = await join(a, roomId, { playerName: 'Ann' });
+  bSeat = await join(b, roomId, { playerName: 'Bo' });
+  assert.equal(aSeat.isHost, true);
+  await stateWhere(a, s => s.players.length === 2);
+  await stateWhere(b, s => s.players.length === 2);
+
+  // Chat crosses processes both ways
+  const heard = chatSaying(a, 'hello from b');
+  b.emit('chat:send', { msg: 'hello from b' });
+  assert.equal((await heard).name, 'Bo');
+
+  // One hand: whoever's turn it is folds
+  const over = [once(a, 'game:hand_over'), once(b, 'game:hand_over')];
+  const turn = once(b, 'game:your_turn');
+  a.emit('game:deal');
+  const { playerId } = await turn;
+  (playerId === aSeat.playerId ? a : b).emit('game:action', { action: 'fold' });
+  await Promise.all(over);
+
+  // Either process answers for the table
+  for (const node of ['a', 'b']) {
+    const summary = await (await fetch(`${nodes[node].base}/api/rooms/${roomId}`)).json();
+    assert.equal(summary.players, 2);
+    const { hands } = await (await fetch(`${nodes[node].base}/api/rooms/${roomId}/hands`)).json();
+    assert.equal(hands.length, 1);
+    const stats = await (await fetch(`${nodes[node].base}/api/rooms/${roomId}/stats`)).json();
+    assert.equal(stats.hands, 1);
+  }
+  const lobby = await (await fetch(`${nodes.b.base}/api/rooms`)).json();
+  assert.ok(lobby.rooms.some(r => r.roomId === roomId && r.name === 'Shared'));
+});
+
+async function api(node, method, url, body, headers = {}) {
+  const res = await fetch(`${nodes[node].base}${url}`, { method, headers: { 'content-type': 'application/json', ...headers }, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test('accounts and bankrolls are the same on every process', { timeout: 20000 }, async (t) => {
+  assert.equal((await api('a', 'POST', '/api/accounts', { username: 'carol', password: 'secret1' })).status, 201);
+  assert.equal((await api('b', 'POST', '/api/accounts', { username: 'Carol', password: 'secret1' })).body.error, 'That username is taken');
+  const { body: { token } } = await api('b', 'POST', '/api/login', { username: 'carol', password: 'secret1' });
+  const auth = { 'x-auth-token': token };
+
+  // Sit down through a at a table living on b
+  const table = await createRoom(nodes.b.base, { name: 'Bankrolls' });
+  const a = client(t, nodes.a.base);
+  const seat = await join(a, table, { authToken: token });
+  assert.equal(seat.playerName, 'carol');
+  assert.equal((await api('a', 'GET', '/api/me', null, auth)).body.bankroll, 8500);
+
+  const gone = once(a, 'player:removed');
+  a.emit('player:leave');
+  await gone;
+  assert.equal((await api('a', 'GET', '/api/me', null, auth)).body.bankroll, 10000);
+  assert.ok((await api('a', 'GET', '/api/leaderboard')).body.leaderboard.some(r => r.username === 'carol'));
+
+  await api('a', 'POST', '/api/logout', null, auth);
+  assert.equal((await api('b', 'GET', '/api/me', null, auth)).status, 401);
+});
+
+test('another process takes the table over when its owner dies', { timeout: 20000 }, async (t) => {
+  const b = client(t, nodes.b.base);
+  const listed = once(b, 'lobby:rooms');
+  b.emit('lobby:watch');
+  assert.ok((await listed).rooms.some(r => r.roomId === roomId));
+  await join(b, roomId, { token: bSeat.token });
+  await stateWhere(b, s => s.players.length === 2);
+
+  // The table was created on a
+  const reload = once(b, 'room:reload');
+  nodes.a.proc.kill('SIGKILL');
+  assert.equal((await reload).roomId, roomId);
+  b.state = null;
+
+  const again = await join(b, roomId, { token: bSeat.token });
+  assert.equal(again.playerId, bSeat.playerId);
+  const state = await stateWhere(b, s => s.players.length === 2);
+  assert.equal(state.handNumber, 1);
+  const { hands } = await (await fetch(`${nodes.b.base}/api/rooms/${roomId}/hands`)).json();
+  assert.equal(hands.length, 1);
+
+  // The table runs here now
+  const chat = chatSaying(b, 'still here');
+  b.emit('chat:send', { msg: 'still here' });
+  assert.equal((await chat).name, 'Bo');
+});
+
+test('a garbled Redis reply fails the command and the client reconnects', { timeout: 10000 }, async (t) => {
+  // The first connection answers with a reply type RESP doesn't have
+  const conns = [];
+  const fake = net.createServer(conn => {
+    conns.push(conn);
+    const reply = conns.length === 1 ? '?what\r\n' : '+PONG\r\n';
+    conn.on('data', () => conn.write(reply));
+  });
+  await new Promise(resolve => fake.listen(0, '127.0.0.1', resolve));
+  const redis = new RedisClient(`redis://127.0.0.1:${fake.address().port}`);
+  t.after(() => { redis.quit(); for (const c of conns) c.destroy(); fake.close(); });
+  await redis.ready();
+
+  await assert.rejects(redis.command('PING'), /Unexpected reply type "\?"/);
+  await new Promise(resolve => fake.once('connection', resolve));
+  await redis.ready();
+  assert.equal(await redis.command('PING'), 'PONG');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evalFive, bestOf7, bestOmaha, evalLow, bestOmahaLow } = require('../src/evaluator');
+const { cards } = require('./helpers');
+
+const beats = (a, b, opts) => evalFive(cards(a), opts).score > evalFive(cards(b), opts).score;
+const ties = (a, b) => bestOf7(cards(a)).score === bestOf7(cards(b)).score;
+
+test('names every category', () => {
+  const cases = {
+    'As Ks Qs Js Ts': 'Royal Flush',
+    '9h 8h 7h 6h 5h': 'Straight Flush',
+    '7c 7d 7h 7s 2d': 'Four of a Kind',
+    '3c 3d 3h 9s 9d': 'Full House',
+    'Ad Jd 8d 4d 2d': 'Flush',
+    'Tc 9d 8h 7s 6d': 'Straight',
+    'Qc Qd Qh 9s 2d': 'Three of a Kind',
+    'Kc Kd 4h 4s 2d': 'Two Pair',
+    'Jc Jd 8h 4s 2d': 'One Pair',
+    'Ac Jd 8h 4s 2d': 'High Card',
+  };
+  for (const [hand, name] of Object.entries(cases)) assert.equal(evalFive(cards(hand)).name, name, hand);
+});
+
+test('the wheel is the lowest straight', () => {
+  assert.equal(evalFive(cards('As 2d 3c 4h 5d')).name, 'Straight');
+  assert.ok(beats('2s 3d 4c 5h 6d', 'As 2d 3c 4h 5d'));
+  assert.ok(beats('As 2d 3c 4h 5d', 'Ac Kd Qh Js 9d'));
+  assert.equal(evalFive(cards('5h 4h 3h 2h Ah')).name, 'Straight Flush');
+  assert.equal(evalFive(cards('Qs Ks As 2s 3d')).name, 'High Card', 'no wrap-around straights');
+});
+
+test('pairs rank before kickers', () => {
+  assert.ok(beats('3s 3d Kc Qh Jd', 'As Kd Qc 2h 2d'));
+  assert.ok(beats('Ks Kd 5c 5h 2d', 'Qs Qd Jc Jh Ad'));
+  assert.ok(beats('4s 4d 4c Ah Kd', '3s 3d 3c Ah Kd'));
+  assert.ok(!beats('2s 2d 2c Ah Ad', 'Ks Kd Qc Qh Qd'));
+  assert.ok(beats('Qs Qd Qc 2h 2d', 'Js Jd Jc Ah Ad'));
+});
+
+test('kickers break ties', () => {
+  assert.ok(beats('As Ad Kc 9h 3d', 'Ah Ac Qc Jh Td'));
+  assert.ok(beats('As Ad 8c 7h 4d', 'Ah Ac 8d 7s 3d'));
+  assert.ok(beats('Ks Kd 5c 5h Ad', 'Kh Kc 5s 5d Qd'));
+  assert.ok(beats('As Js 8s 6s 3s', 'Ad Jd 8d 6d 2d'));
+});
+
+test('best five of seven — board plays and split hands', () => {
+  assert.equal(bestOf7(cards('2c 7d As Ks Qs Js Ts')).name, 'Royal Flush');
+  // Both players play the board's straight: a tie
+  assert.ok(ties('2c 3d 9s Th Jc Qd Kh', '4c 5d 9s Th Jc Qd Kh'));
+  // Same pair, kicker from the hand decides
+  assert.ok(!ties('Ac 3d Ks Kh 8c 6d 2h', 'Qc 3d Ks Kh 8c 6d 2h'));
+  // Kicker below the board's top five doesn't play
+  assert.ok(ties('4c 3d Ks Kh Qc Jd 9h', '5c 2d Ks Kh Qc Jd 9h'));
+});
+
+test('Omaha uses exactly two hole cards and three board cards', () => {
+  // Four spades in hand, one on board: no flush
+  assert.equal(bestOmaha(cards('As Ks Qs Js'), cards('2s 7h 8d 9c Tc')).name, 'Straight');
+  // Four of a kind on board is only trips plus hole cards
+  assert.equal(bestOmaha(cards('Ah Kd 2c 3c'), cards('Qs Qh Qd Qc 5s')).name, 'Three of a Kind');
+  assert.equal(bestOmaha(cards('Ah Kh 2c 3c'), cards('Qh Jh Th 4s 5s')).name, 'Royal Flush');
+});
+
+test('eight-or-better lows', () => {
+  assert.equal(evalLow(cards('As 2d 3c 4h 5d')).name, '5-4-3-2-A low');
+  assert.equal(evalLow(cards('As 2d 3c 4h 9d')), null, 'nine is too high');
+  assert.equal(evalLow(cards('As 2d 3c 3h 5d')), null, 'pairs do not qualify');
+  assert.ok(evalLow(cards('7s 5d 4c 3h 2d')).score < evalLow(cards('7s 6d 4c 3h 2d')).score);
+  assert.ok(evalLow(cards('8s 5d 4c 3h Ad')).score > evalLow(cards('7s 6d 5c 4h 3d')).score);
+  // Needs two low hole cards and three low board cards
+  assert.equal(bestOmahaLow(cards('As 2s Kh Kd'), cards('7c 8d 9h Tc Jc')), null);
+  assert.equal(bestOmahaLow(cards('As 2s Kh Kd'), cards('3c 6d 8h Tc Jc')).name, '8-6-3-2-A low');
+});
+
+test('Short Deck rankings', () => {
+  const sd = { shortDeck: true };
+  assert.ok(beats('As 9s 8s 7s Js', '9s 9h 9d 7s 7d', sd), 'flush beats full house');
+  assert.ok(beats('Ks Kh Kd 8s 9c', 'As 6h 7d 8s 9c', sd), 'trips beat a straight');
+  assert.equal(evalFive(cards('As 6h 7d 8s 9c'), sd).name, 'Straight');
+  assert.ok(beats('6s 7h 8d 9s Tc', 'As 6h 7d 8s 9c', sd), 'A-6-7-8-9 is the lowest straight');
+  assert.ok(!beats('As 9s 8s 7s Js', '9s 9h 9d 7s 7d'), 'normal rankings are unchanged');
+});
@@ -0,0 +1,796 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PokerGame } = require('../src/game');
+const { hashSeed } = require('../src/fairness');
+const { cards, table, player, totalChips, play, checkDown, foldOut, seededRandom } = require('./helpers');
+
+// Seats are p1..pn in order. The first deal puts the button on p1.
+
+test('blinds and first to act, three-handed', () => {
+  const game = table(3);
+  game.startHand();
+  assert.equal(game.players[game.dealerIndex].id, 'p1');
+  assert.equal(player(game, 'p2').bet, 25);
+  assert.equal(player(game, 'p3').bet, 50);
+  assert.equal(game.getCurrentPlayer().id, 'p1');
+  assert.equal(game.pot, 75);
+
+  play(game, [['p1', 'call'], ['p2', 'call'], ['p3', 'check']]);
+  assert.equal(game.phase, 'flop');
+  assert.equal(game.community.length, 3);
+  assert.equal(game.getCurrentPlayer().id, 'p2', 'first live seat left of the button acts first after the flop');
+});
+
+test('blinds heads-up', () => {
+  const game = table(2);
+  game.startHand();
+  const dealer = game.players[game.dealerIndex];
+  assert.equal(dealer.bet, 25);
+  assert.equal(game.getCurrentPlayer().id, dealer.id);
+  play(game, [[dealer.id, 'call']]);
+  play(game, [[game.getCurrentPlayer().id, 'check']]);
+  assert.notEqual(game.getCurrentPlayer().id, dealer.id, 'big blind acts first after the flop');
+
+  checkDown(game);
+  game.startHand();
+  assert.notEqual(game.players[game.dealerIndex].id, dealer.id, 'the button moves');
+  assert.equal(game.players[game.dealerIndex].bet, 25);
+});
+
+test('dead small blind and dead button when last big blind sits out', () => {
+  const game = table(4);
+  game.startHand();
+  play(game, [['p4', 'fold'], ['p1', 'fold'], ['p2', 'fold']]);
+  player(game, 'p3').sitOut = true;
+
+  game.startHand();
+  assert.equal(game.players[game.dealerIndex].id, 'p2', 'button goes to last small blind');
+  assert.equal(player(game, 'p4').bet, 50, 'big blind moves one seat');
+  assert.equal(game.pot, 50, 'no small blind this hand');
+  assert.equal(player(game, 'p3').missedBlinds, 'small');
+  play(game, [['p1', 'fold'], ['p2', 'fold']]);
+
+  player(game, 'p3').sitOut = false;
+  game.startHand();
+  assert.equal(player(game, 'p3').seatIndex, game.buttonSeat);
+  assert.equal(player(game, 'p4').bet, 25);
+  assert.equal(player(game, 'p1').bet, 50);
+  assert.equal(player(game, 'p3').bet, 0, 'missed small blind is dead money');
+  assert.equal(game.pot, 100);
+  assert.equal(player(game, 'p3').missedBlinds, null);
+});
+
+test('a player who missed the big blind posts it live on return', () => {
+  const game = table(4);
+  game.startHand();
+  play(game, [['p4', 'fold'], ['p1', 'fold'], ['p2', 'fold']]);
+  player(game, 'p4').sitOut = true;
+
+  game.startHand();
+  assert.equal(player(game, 'p1').bet, 50, 'big blind skips the empty seat');
+  assert.equal(player(game, 'p4').missedBlinds, 'both');
+  play(game, [['p2', 'fold'], ['p3', 'fold']]);
+
+  player(game, 'p4').sitOut = false;
+  game.startHand();
+  assert.equal(player(game, 'p2').bet, 50);
+  assert.equal(player(game, 'p4').bet, 50);
+  assert.equal(game.pot, 150);
+  play(game, [['p3', 'call'], ['p4', 'check'], ['p1', 'call']]);
+  assert.equal(game.getCurrentPlayer().id, 'p2', 'the real big blind keeps the option');
+});
+
+test('the button passes a busted seat', () => {
+  const game = table(4, { stacks: [1000, 1000, 1000, 50] });
+  game.stackDeck(cards('2c 7d  As Ad  Ks Kd  3c 8h  Qs Jh 9d 4c 2s'));
+  game.startHand();
+  play(game, [['p4', 'allin'], ['p1', 'fold'], ['p2', 'call'], ['p3', 'fold']]);
+  const result = checkDown(game);
+  assert.equal(result.advance, 'showdown');
+  assert.equal(player(game, 'p4').chips, 0);
+
+  game.startHand();
+  assert.equal(game.players[game.dealerIndex].id, 'p2');
+  assert.equal(player(game, 'p3').bet, 25);
+  assert.equal(player(game, 'p1').bet, 50, 'big blind skips the busted seat');
+  assert.equal(player(game, 'p4').missedBlinds, null, 'busted players owe nothing');
+});
+
+test('a raise reopens the betting for players who already acted', () => {
+  const game = table(3);
+  game.startHand();
+  play(game, [['p1', 'raise', 150], ['p2', 'call'], ['p3', 'raise', 400]]);
+  assert.equal(game.getCurrentPlayer().id, 'p1');
+  assert.equal(game.getBetLimits(player(game, 'p1')).toCall, 250);
+  play(game, [['p1', 'call'], ['p2', 'fold']]);
+  assert.equal(game.phase, 'flop');
+  assert.equal(game.pot, 950);
+});
+
+test('raise amounts must be whole numbers of chips', () => {
+  const game = table(3);
+  game.startHand();
+  for (const amount of ['abc', 150.5, NaN, -200, undefined]) {
+    assert.match(game.applyAction('p1', 'raise', amount).error, /whole number/, String(amount));
+  }
+  assert.equal(player(game, 'p1').chips, 1000);
+  assert.equal(game.pot, 75);
+
+  // A numeric string is read as its number
+  play(game, [['p1', 'raise', '200']]);
+  assert.equal(game.callAmount, 200);
+  assert.equal(player(game, 'p1').chips, 800);
+  assert.equal(game.getBetLimits(player(game, 'p2')).minRaiseTo, 350);
+});
+
+test('a short all-in does not reopen the betting for players who already acted', () => {
+  const game = table(3, { stacks: [1000, 130, 1000] });
+  game.startHand();
+  play(game, [['p1', 'raise', 100], ['p2', 'allin']]);
+  // p3 hasn't acted yet and can still raise
+  assert.equal(game.getBetLimits(player(game, 'p3')).canRaise, true);
+  play(game, [['p3', 'call']]);
+  const limits = game.getBetLimits(player(game, 'p1'));
+  assert.equal(limits.toCall, 30);
+  assert.equal(limits.canRaise, false);
+  assert.equal(limits.canAllIn, false);
+  assert.match(game.applyAction('p1', 'raise', 300).error, /not reopened/);
+  play(game, [['p1', 'call']]);
+  assert.equal(game.phase, 'flop');
+
+  // Short all-ins that add up to a full raise do reopen it
+  const again = table(3, { stacks: [1000, 130, 160] });
+  again.startHand();
+  play(again, [['p1', 'raise', 100], ['p2', 'allin'], ['p3', 'allin']]);
+  assert.equal(again.getBetLimits(player(again, 'p1')).canRaise, true);
+});
+
+test('rejects out-of-turn and illegal moves', () => {
+  const game = table(3);
+  game.startHand();
+  assert.equal(game.applyAction('p2', 'call').error, 'Not your turn');
+  assert.match(game.applyAction('p1', 'check').error, /Cannot check/);
+  assert.match(game.applyAction('p1', 'raise', 60).error, /Minimum raise is to \$100/);
+  assert.match(game.applyAction('p1', 'raise', 5000).error, /Not enough chips/);
+});
+
+test('fold-win pays the whole pot', () => {
+  const game = table(3);
+  game.startHand();
+  const result = play(game, [['p1', 'fold'], ['p2', 'fold']]);
+  assert.equal(result.advance, 'hand_over');
+  assert.deepEqual(result.winners, [{ id: 'p3', name: 'P3', amount: 75 }]);
+  assert.equal(player(game, 'p3').chips, 1025);
+  assert.equal(game.lastHand.results[0].amount, 75);
+});
+
+test('split pot — odd chip goes to the first winner left of the button', () => {
+  const game = table(3);
+  game.stackDeck(cards('2c 3c  2d 3d  2h 3h  As Ks Qs Js Ts'));
+  game.startHand({ smallBlind: 5, bigBlind: 10, ante: 1 });
+  play(game, [['p1', 'fold'], ['p2', 'call'], ['p3', 'check']]);
+  const result = checkDown(game);
+  assert.equal(result.advance, 'showdown');
+  assert.deepEqual(result.winners.map(w => [w.id, w.amount]), [['p2', 12], ['p3', 11]]);
+  assert.equal(totalChips(game), 3000);
+});
+
+test('side pots — a short all-in can only win what it covered', () => {
+  const game = table(3, { stacks: [1000, 200, 1000] });
+  game.stackDeck(cards('Qs Qd  As Ad  Ks Kd  2s 7h 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'call'], ['p2', 'allin'], ['p3', 'call'], ['p1', 'call']]);
+  assert.equal(game.getCurrentPlayer().id, 'p3', 'all-in player is skipped');
+  play(game, [['p3', 'raise', 100], ['p1', 'call']]);
+  const result = checkDown(game);
+  assert.deepEqual(result.pots.map(p => [p.label, p.amount, p.winners.map(w => w.id)]), [
+    ['main pot', 600, ['p2']],
+    ['side pot 1', 200, ['p3']],
+  ]);
+  assert.deepEqual(game.players.map(p => p.chips), [700, 600, 900]);
+});
+
+test('all-in preflop runs the board out to showdown', () => {
+  const game = table(2);
+  game.stackDeck(cards('As Ad  Ks Kd  2s 7h 9d Jc 4s'));
+  game.startHand();
+  play(game, [[game.getCurrentPlayer().id, 'allin']]);
+  const result = checkDown(game);
+  assert.equal(result.advance, 'showdown');
+  assert.equal(game.community.length, 5);
+  assert.equal(player(game, 'p1').chips, 2000);
+  assert.equal(player(game, 'p2').chips, 0);
+});
+
+test('all-in runout needs no further input', () => {
+  const game = table(2);
+  game.startHand();
+  play(game, [[game.getCurrentPlayer().id, 'allin']]);
+  let result = game.applyAction(game.getCurrentPlayer().id, 'call');
+  assert.equal(result.advance, 'runout');
+  assert.equal(game.getCurrentPlayer(), null);
+  assert.ok(game.getStateFor('p1').players.every(p => p.hand.length === 2), 'hands are turned up');
+  const streets = [];
+  while (result.advance === 'runout') {
+    streets.push(game.phase);
+    result = game.continueRunout();
+  }
+  assert.deepEqual(streets, ['flop', 'turn', 'river']);
+  assert.equal(result.advance, 'showdown');
+});
+
+test('one player with chips left runs out too', () => {
+  const game = table(3, { stacks: [200, 1000, 1000] });
+  game.startHand();
+  const result = play(game, [['p1', 'allin'], ['p2', 'fold'], ['p3', 'call']]);
+  assert.equal(result.advance, 'runout');
+  assert.equal(game.phase, 'flop');
+});
+
+test('equity is worked out for each street of an all-in run-out', () => {
+  const game = table(2);
+  game.stackDeck(cards('As Ad  Ks Kd  2s 7h 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'allin'], ['p2', 'call']]);
+  assert.equal(game.phase, 'flop');
+  const flop = game.updateEquity();
+  assert.deepEqual([flop.board, flop.exact, flop.boards], [1, true, 990], 'every turn and river enumerated');
+  // Kings need one of the two kings left (87 runs of 990) without an ace to go with it (4)
+  assert.equal(flop.players.p2.win, Math.round(83 / 990 * 10000) / 10000);
+  assert.equal(flop.players.p1.tie, 0);
+  assert.equal(game.getStateFor('p1').equity.players.p1.equity, flop.players.p1.equity);
+
+  game.continueRunout();
+  game.continueRunout();
+  assert.equal(game.phase, 'river');
+  assert.equal(game.updateEquity(), null, 'nothing left to come');
+});
+
+test('preflop equity is sampled', () => {
+  const game = table(2);
+  game.stackDeck(cards('As Ad  Ks Kd'));
+  game.startHand();
+  play(game, [['p1', 'allin'], ['p2', 'call']]);
+  game.community = [];
+  const { exact, boards, players } = game.updateEquity({ rand: seededRandom(3) });
+  assert.equal(exact, false);
+  assert.ok(boards >= 1000);
+  assert.ok(players.p1.equity > 0.75 && players.p1.equity < 0.9, `aces vs kings at ${players.p1.equity}`);
+});
+
+test('equity worked out in slices matches, and is dropped once the board moves on', async () => {
+  const game = table(2);
+  game.stackDeck(cards('As Ad  Ks Kd  2s 7h 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'allin'], ['p2', 'call']]);
+  const flop = await game.updateEquityAsync();
+  assert.deepEqual(flop, game.updateEquity());
+
+  const stale = game.updateEquityAsync();
+  game.continueRunout();
+  assert.equal(await stale, null);
+  assert.equal(game.equity, null);
+});
+
+test('running it twice splits each pot by board', () => {
+  const game = table(2);
+  game.stackDeck(cards('As Ad  Ks Kd  2s 7h 9d Jc 4s  Kh 3c 5d 8s Qc'));
+  game.setRunItTwice('p1', true);
+  game.setRunItTwice('p2', true);
+  game.startHand({ runItTwice: true });
+  play(game, [['p1', 'allin'], ['p2', 'call']]);
+  assert.equal(game.runTwice, true);
+  const streets = [];
+  let result = { advance: 'runout' };
+  while (result.advance === 'runout') {
+    result = game.continueRunout();
+    streets.push(game.board2 ? 'second board' : game.phase);
+  }
+  assert.deepEqual(streets, ['turn', 'river', 'second board', 'second board']);
+  assert.deepEqual(game.board2, cards('Kh 3c 5d 8s Qc'));
+  assert.deepEqual(result.pots[0].winners.map(w => [w.id, w.amount]), [['p1', 1000], ['p2', 1000]]);
+  assert.deepEqual(game.players.map(p => p.chips), [1000, 1000]);
+  assert.ok(game.log.some(l => l.msg === 'P2 wins $1000 (board 2)!'));
+  assert.deepEqual(game.lastHand.board2, game.board2);
+});
+
+test('the board is run once unless every live player agrees', () => {
+  const game = table(2);
+  game.setRunItTwice('p1', true);
+  game.startHand({ runItTwice: true });
+  play(game, [['p1', 'allin'], ['p2', 'call']]);
+  assert.equal(game.runTwice, false);
+  assert.equal(checkDown(game).advance, 'showdown');
+  assert.equal(game.board2, null);
+});
+
+test('the river bettor shows first and losing hands can be mucked', () => {
+  const game = table(3);
+  game.stackDeck(cards('2c 3d  As Ad  Ks Kd  7h 8s 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'call'], ['p2', 'call'], ['p3', 'check']]);
+  for (let street = 0; street < 2; street++) play(game, [['p2', 'check'], ['p3', 'check'], ['p1', 'check']]);
+  const result = play(game, [['p2', 'check'], ['p3', 'raise', 100], ['p1', 'call'], ['p2', 'call']]);
+  assert.deepEqual(result.winners.map(w => w.id), ['p2']);
+  // P3 bet, so shows first; P1 can't beat kings and mucks; P2's aces beat them
+  assert.deepEqual(game.lastHand.events.filter(e => ['show', 'muck'].includes(e.type)).map(e => [e.type, e.playerId]),
+    [['show', 'p3'], ['muck', 'p1'], ['show', 'p2']]);
+  const view = game.getStateFor('p2').players;
+  assert.equal(view.find(p => p.id === 'p1').hand, null);
+  assert.deepEqual(view.find(p => p.id === 'p3').hand, cards('Ks Kd'));
+  assert.deepEqual(game.getStateFor('p1').players.find(p => p.id === 'p1').hand, cards('2c 3d'), 'you still see your own');
+});
+
+test('spectators see no hole cards until they are shown', () => {
+  const game = table(3);
+  game.stackDeck(cards('2c 3d  As Ad  Ks Kd  7h 8s 9d Jc 4s'));
+  game.startHand();
+  const hands = () => Object.fromEntries(game.getStateFor(null).players.map(p => [p.id, p.hand]));
+  assert.deepEqual(hands(), { p1: null, p2: null, p3: null });
+  play(game, [['p1', 'call'], ['p2', 'call'], ['p3', 'check']]);
+  for (let street = 0; street < 2; street++) {
+    play(game, [['p2', 'check'], ['p3', 'check'], ['p1', 'check']]);
+    assert.deepEqual(hands(), { p1: null, p2: null, p3: null });
+  }
+  play(game, [['p2', 'check'], ['p3', 'raise', 100], ['p1', 'call'], ['p2', 'call']]);
+  // P1 mucked at the showdown
+  assert.deepEqual(hands(), { p1: null, p2: cards('As Ad'), p3: cards('Ks Kd') });
+});
+
+test('server seeds stay secret until the game is over', () => {
+  const game = table(2);
+  game.startHand();
+  foldOut(game);
+  assert.equal(game.getFairnessState().hand.serverSeed, null, 'a folded hand is in this deck');
+  game.revealSeeds();
+  assert.equal(hashSeed(game.getFairnessState().hand.serverSeed), game.getFairnessState().hand.commitment);
+  game.startHand();
+  foldOut(game);
+  assert.equal(game.getFairnessState().hand.serverSeed, null, 'a hand after the reveal waits for the next one');
+});
+
+test('players who would rather show never muck', () => {
+  const game = table(2);
+  game.stackDeck(cards('2c 3d  As Ad  7h 8s 9d Jc 4s'));
+  game.setMuck('p1', false);
+  game.startHand();
+  play(game, [['p1', 'call'], ['p2', 'check']]);
+  for (let street = 0; street < 3; street++) play(game, [['p2', 'check'], ['p1', 'check']]);
+  assert.equal(game.lastHand.events.filter(e => e.type === 'show').length, 2);
+});
+
+test('after a fold the winner can show a card, and the rabbit can be hunted', () => {
+  const game = table(2);
+  game.stackDeck(cards('As Kd  2c 3d  7h 8s 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'raise', 150], ['p2', 'fold']]);
+  assert.deepEqual(game.getStateFor('p2').players.find(p => p.id === 'p1').hand, null);
+  game.showCards('p1', [1]);
+  assert.deepEqual(game.getStateFor('p2').players.find(p => p.id === 'p1').hand, [null, ...cards('Kd')]);
+  assert.equal(game.getStateFor(null).players.find(p => p.id === 'p1').handName, null);
+  game.showCards('p1');
+  assert.deepEqual(game.getStateFor(null).players.find(p => p.id === 'p1').hand, cards('As Kd'));
+
+  assert.deepEqual(game.rabbitHunt().cards, cards('7h 8s 9d Jc 4s'));
+  assert.deepEqual(game.getStateFor('p1').rabbit, cards('7h 8s 9d Jc 4s'));
+  game.startHand();
+  assert.equal(game.getStateFor('p1').rabbit, null);
+  assert.equal(game.showCards('p1').error, 'No cards to show');
+});
+
+test('session stats count what each player did', () => {
+  const game = table(3);
+  game.stackDeck(cards('2c 3d  As Ad  Ks Kd  7h 8s 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'call'], ['p2', 'call'], ['p3', 'check']]);
+  for (let street = 0; street < 2; street++) play(game, [['p2', 'check'], ['p3', 'check'], ['p1', 'check']]);
+  play(game, [['p2', 'check'], ['p3', 'raise', 100], ['p1', 'call'], ['p2', 'call']]);
+  game.startHand();
+  foldOut(game);
+
+  assert.deepEqual(game.stats.forPlayer('p1'), { id: 'p1', name: 'P1', hands: 2, vpip: 50, pfr: 0, af: 0, wtsd: 100, wsd: 0, net: -125 });
+  assert.deepEqual(game.stats.forPlayer('p3'), { id: 'p3', name: 'P3', hands: 2, vpip: 0, pfr: 0, af: null, wtsd: 100, wsd: 0, net: -175 });
+  assert.deepEqual(game.stats.summary().map(p => [p.id, p.net]), [['p2', 300], ['p1', -125], ['p3', -175]]);
+
+  const restored = new PokerGame('TEST01');
+  restored.restore(JSON.parse(JSON.stringify(game.snapshot())));
+  assert.deepEqual(restored.stats.summary(), game.stats.summary());
+});
+
+test('away players check when it is free and fold to a bet', () => {
+  const game = table(3);
+  game.startHand();
+  game.sitOut('p2');
+  game.removePlayer('p3');
+  const result = play(game, [['p1', 'call']]);
+  assert.equal(player(game, 'p2').folded, true, 'small blind folds facing the rest of the bet');
+  assert.equal(player(game, 'p3').folded, false, 'big blind checks its option');
+  assert.equal(game.phase, 'flop');
+  assert.equal(result.advance, 'next_turn');
+  assert.equal(game.getCurrentPlayer().id, 'p1', 'the disconnected big blind checked again on the flop');
+
+  checkDown(game);
+  assert.equal(game.getCurrentPlayer(), null, 'nobody is left to act once the hand is over');
+  game.removePlayer('p1');
+  assert.equal(game.autoActIfAway(), null);
+});
+
+test('sitting out next hand plays the current one first', () => {
+  const game = table(3);
+  game.startHand();
+  assert.deepEqual(game.sitOut('p1', { nextHand: true }), { success: true, pending: true });
+  assert.equal(player(game, 'p1').sitOut, false);
+  foldOut(game);
+  game.startHand();
+  assert.equal(player(game, 'p1').sitOut, true);
+  assert.equal(player(game, 'p1').hand.length, 0);
+});
+
+test('a player who joins mid-hand waits for the next deal', () => {
+  const game = table(3);
+  game.startHand();
+  game.addPlayer('p4', 'P4', 1000);
+  assert.equal(player(game, 'p4').folded, true);
+  assert.match(game.applyAction('p4', 'raise', 500).error, /./);
+  const turns = [];
+  for (let i = 0; i < 10 && game.phase === 'preflop'; i++) {
+    const { id } = game.getCurrentPlayer();
+    turns.push(id);
+    game.applyAction(id, 'fold');
+  }
+  assert.ok(!turns.includes('p4'), `turns went ${turns}`);
+  assert.equal(player(game, 'p4').chips, 1000);
+  assert.equal(totalChips(game), 4000);
+
+  game.startHand();
+  assert.equal(player(game, 'p4').folded, false);
+  assert.equal(player(game, 'p4').hand.length, 2);
+});
+
+test('coming back waits for the big blind unless the player posts', () => {
+  const game = table(4);
+  game.startHand();
+  foldOut(game);
+  game.sitOut('p4');
+  game.startHand();
+  foldOut(game);
+  assert.equal(player(game, 'p4').missedBlinds, 'both');
+
+  assert.deepEqual(game.sitIn('p4'), { success: true, waitingForBB: true });
+  game.startHand();
+  assert.equal(player(game, 'p4').hand.length, 0, 'big blind is on p2');
+  foldOut(game);
+  game.startHand();
+  assert.equal(player(game, 'p4').hand.length, 0, 'big blind is on p3');
+  foldOut(game);
+  game.startHand();
+  assert.equal(player(game, 'p4').bet, 50, 'dealt in on the big blind');
+  assert.equal(game.pot, 75, 'nothing extra owed');
+  foldOut(game);
+
+  game.sitOut('p2');
+  game.startHand();
+  foldOut(game);
+  game.sitIn('p2', { postBlind: true });
+  game.startHand();
+  assert.equal(player(game, 'p2').bet, 50, 'posted to come back straight away');
+});
+
+test('players away too many orbits lose their seat', () => {
+  const game = table(3);
+  game.sitOut('p3');
+  let removed = [];
+  for (let h = 0; h < 6 && !removed.length; h++) {
+    removed = game.startHand({ sitOutOrbits: 2 }).removed;
+    foldOut(game);
+  }
+  assert.deepEqual(removed, [{ id: 'p3', name: 'P3', chips: 1000 }]);
+  assert.deepEqual(game.getStateFor('p1').removedPlayers, removed);
+  assert.deepEqual(game.players.map(p => p.id), ['p1', 'p2']);
+});
+
+test('the ledger still nets to zero after players leave', () => {
+  const game = table(4);
+  game.startHand();
+  foldOut(game);
+  game.sitOut('p4');
+  game.leaveTable('p3');
+  let removed = [];
+  for (let h = 0; h < 8 && !removed.length; h++) {
+    removed = game.startHand({ sitOutOrbits: 1 }).removed;
+    if (game.phase === 'preflop') foldOut(game);
+  }
+  assert.deepEqual(removed.map(r => r.id), ['p4']);
+  const ledger = game.getLedger();
+  assert.deepEqual(ledger.map(l => l.id).sort(), ['p1', 'p2', 'p3', 'p4']);
+  assert.equal(ledger.filter(l => l.left).length, 2);
+  assert.equal(ledger.reduce((a, l) => a + l.net, 0), 0);
+
+  const restored = new PokerGame('TEST01');
+  restored.restore(game.snapshot());
+  assert.deepEqual(restored.getLedger(), ledger);
+});
+
+test('rebuys are only open until the set hand', () => {
+  const game = table(2);
+  const settings = { allowRebuy: true, rebuyAmount: 500, rebuyUntilHand: 2 };
+  player(game, 'p1').chips = 0;
+  game.handNumber = 1;
+  assert.equal(game.rebuy('p1', settings).amount, 500);
+  player(game, 'p1').chips = 0;
+  game.handNumber = 2;
+  assert.equal(game.rebuy('p1', settings).error, 'Rebuys closed after hand #2');
+});
+
+test('rebuys stop at the limit, and add-ons do not count toward it', () => {
+  const game = table(2);
+  const settings = { allowRebuy: true, maxRebuys: 1, rebuyAmount: 1000, addOnAmount: 500 };
+  const p1 = player(game, 'p1');
+  assert.equal(game.addOn('p1', settings).amount, 500);
+  assert.equal(game.addOn('p1', settings).amount, 500);
+  p1.chips = 0;
+  assert.equal(game.rebuy('p1', settings).amount, 1000);
+  p1.chips = 0;
+  assert.equal(game.rebuy('p1', settings).error, 'Rebuy limit reached (1)');
+  const line = game.getLedger().find(l => l.id === 'p1');
+  assert.deepEqual([line.buyIns, line.addOns, line.buyInTotal], [2, 2, 3000]);
+});
+
+test('add-ons work at a table without rebuys', () => {
+  const game = table(2);
+  const settings = { allowRebuy: false, addOnAmount: 500 };
+  assert.equal(game.addOn('p1', settings).amount, 500);
+  assert.equal(player(game, 'p1').chips, 1500);
+  assert.equal(game.addOn('p1', { ...settings, addOnAmount: 0 }).error, 'Add-ons are disabled');
+  player(game, 'p2').chips = 0;
+  assert.equal(game.rebuy('p2', settings).error, 'Rebuys are disabled');
+  assert.equal(game.addOn('p2', settings).error, 'You are busted — use rebuy');
+});
+
+test('the time bank runs after the turn timer, then the player checks or folds', () => {
+  const game = table(3);
+  game.startHand({ timeBank: 20 });
+  const t0 = Date.now();
+  game.startClock(15, t0);
+  assert.equal(game.getStateFor('p2').clock.deadline, t0 + 15000, 'everyone sees the deadline');
+  assert.deepEqual(game.expireClock(t0 + 15000), { timeBank: true });
+  assert.equal(game.getStateFor('p2').clock.deadline, t0 + 35000);
+  const result = game.expireClock(t0 + 35000);
+  assert.deepEqual(result.timedOut, { playerId: 'p1', action: 'fold' });
+  assert.equal(player(game, 'p1').timeBank, 0);
+  assert.equal(game.clock, null);
+
+  play(game, [['p2', 'call']]);
+  game.startClock(15, t0);
+  game.expireClock(t0 + 15000);
+  game.expireClock(t0 + 35000);
+  assert.equal(player(game, 'p3').folded, false, 'a free check is never folded');
+  assert.equal(game.phase, 'flop');
+});
+
+test('time banks refill every few hands up to the maximum', () => {
+  const game = table(2);
+  const settings = { timeBank: 10, timeBankRefill: 4, timeBankRefillHands: 2 };
+  game.startHand(settings);
+  assert.equal(player(game, 'p1').timeBank, 10);
+  player(game, 'p1').timeBank = 3;
+  const banks = [];
+  for (let h = 2; h <= 4; h++) {
+    foldOut(game);
+    game.startHand(settings);
+    banks.push(player(game, 'p1').timeBank);
+  }
+  assert.deepEqual(banks, [7, 7, 10]);
+});
+
+test('pre-actions play as soon as the turn comes round', () => {
+  const game = table(4);
+  game.startHand();
+  assert.equal(game.setPreAction('p1', 'call-any').success, true);
+  assert.equal(game.setPreAction('p2', 'check-fold').success, true);
+  assert.equal(game.setPreAction('p4', 'check-fold').error, 'It is already your turn');
+  assert.equal(game.setPreAction('p3', 'raise').error, 'Unknown pre-action');
+
+  play(game, [['p4', 'raise', 150]]);
+  assert.equal(player(game, 'p1').bet, 150, 'call any called the raise');
+  assert.equal(player(game, 'p2').folded, true, 'check/fold folded to it');
+  assert.equal(game.getCurrentPlayer().id, 'p3');
+});
+
+test('a queued check or call is cancelled when the bet changes', () => {
+  const game = table(3);
+  game.startHand();
+  game.setPreAction('p2', 'call');
+  game.setPreAction('p3', 'check');
+  play(game, [['p1', 'call']]);
+  assert.equal(game.phase, 'flop', 'p2 called and p3 checked without being asked');
+
+  assert.equal(game.setPreAction('p1', 'call').error, 'Nothing to call');
+  game.setPreAction('p1', 'check');
+  game.setPreAction('p3', 'check');
+  assert.equal(game.getStateFor('p3').preAction, 'check');
+  play(game, [['p2', 'raise', 50]]);
+  assert.equal(game.getCurrentPlayer().id, 'p3', 'the bet cancelled the queued checks');
+  assert.equal(game.getStateFor('p3').preAction, null);
+  assert.equal(game.getStateFor('p1').preAction, null);
+});
+
+test('the host can remove a player between hands or mid-hand', () => {
+  const game = table(4);
+  game.kickPlayer('p4');
+  assert.deepEqual(game.players.map(p => p.id), ['p1', 'p2', 'p3']);
+
+  game.startHand();
+  assert.equal(game.kickPlayer('p3').pending, true);
+  play(game, [['p1', 'call'], ['p2', 'call']]);
+  assert.equal(player(game, 'p3').folded, true, 'folded even with a free check');
+  assert.equal(game.phase, 'flop');
+  foldOut(game);
+  const { removed } = game.startHand();
+  assert.deepEqual(removed, [{ id: 'p3', name: 'P3', chips: 950, kicked: true }]);
+  assert.deepEqual(game.players.map(p => p.id), ['p1', 'p2']);
+});
+
+test('a player who was not dealt in is removed at once, even mid-hand', () => {
+  const game = table(5);
+  game.sitOut('p2');
+  game.startHand();
+  assert.equal(player(game, 'p2').hand.length, 0);
+  const dealer = game.players[game.dealerIndex].id;
+  const turn = game.getCurrentPlayer().id;
+  const result = game.kickPlayer('p2');
+  assert.equal(result.success, true);
+  assert.equal(result.pending, undefined);
+  assert.deepEqual(game.players.map(p => p.id), ['p1', 'p3', 'p4', 'p5']);
+  assert.equal(game.players[game.dealerIndex].id, dealer);
+  assert.equal(game.getCurrentPlayer().id, turn);
+  foldOut(game);
+  assert.equal(totalChips(game), 4000);
+});
+
+test('pausing stops play and freezes the clock', () => {
+  const game = table(3);
+  game.startHand({ timeBank: 20 });
+  const t0 = Date.now();
+  game.startClock(15, t0);
+  assert.equal(game.pause(t0 + 5000).success, true);
+  assert.equal(game.applyAction('p1', 'call').error, 'The game is paused');
+  assert.equal(game.startHand().error, 'The game is paused');
+  assert.equal(game.getStateFor('p2').clock.remaining, 10000);
+
+  game.resume(t0 + 65000);
+  assert.equal(game.clock.deadline, t0 + 75000, 'the minute paused is added back');
+  assert.equal(game.getStateFor('p2').clock.remaining, null);
+  game.expireClock(t0 + 75000);
+  game.pause(t0 + 80000);
+  game.resume(t0 + 90000);
+  game.expireClock(t0 + 105000);
+  assert.equal(player(game, 'p1').timeBank, 0);
+  assert.equal(player(game, 'p1').folded, true);
+});
+
+test('antes are dead money and count toward the pot', () => {
+  const game = table(3);
+  game.startHand({ ante: 10 });
+  assert.equal(game.pot, 105);
+  assert.equal(game.callAmount, 50);
+  assert.equal(game.handRecord.events.filter(e => e.type === 'ante').length, 3);
+});
+
+test('a big blind ante is posted by the big blind alone, after the blind', () => {
+  const game = table(3, { stacks: [1000, 1000, 70] });
+  game.startHand({ ante: 50, anteType: 'big-blind' });
+  assert.equal(player(game, 'p3').bet, 50);
+  assert.equal(player(game, 'p3').chips, 0, 'a short big blind covers the blind first');
+  assert.equal(game.pot, 95);
+  assert.equal(game.callAmount, 50);
+  assert.deepEqual(game.handRecord.events.filter(e => e.type === 'ante').map(e => [e.playerId, e.amount]), [['p3', 20]]);
+});
+
+test('an under-the-gun straddle is a live bet and gets the option', () => {
+  const game = table(4);
+  game.setStraddle('p4', true);
+  game.startHand({ straddle: true });
+  assert.equal(player(game, 'p4').bet, 100);
+  assert.equal(game.callAmount, 100);
+  assert.equal(game.getCurrentPlayer().id, 'p1', 'action starts left of the straddle');
+  assert.equal(game.getBetLimits(player(game, 'p1')).minRaiseTo, 200);
+
+  play(game, [['p1', 'call'], ['p2', 'call'], ['p3', 'call']]);
+  assert.equal(game.getCurrentPlayer().id, 'p4');
+  assert.equal(game.getBetLimits(player(game, 'p4')).canCheck, true);
+  play(game, [['p4', 'check']]);
+  assert.equal(game.phase, 'flop');
+  assert.equal(game.pot, 400);
+  assert.deepEqual(game.handRecord.events.find(e => e.blind === 'straddle'), { type: 'blind', playerId: 'p4', blind: 'straddle', amount: 100 });
+});
+
+test('no straddle unless the table allows it, or heads-up', () => {
+  const game = table(4);
+  game.setStraddle('p4', true);
+  game.startHand();
+  assert.equal(game.callAmount, 50);
+
+  const headsUp = table(2);
+  headsUp.setStraddle('p1', true);
+  headsUp.setStraddle('p2', true);
+  headsUp.startHand({ straddle: true });
+  assert.equal(headsUp.callAmount, 50);
+});
+
+test('a bomb pot antes everyone and starts on the flop without moving the button', () => {
+  const game = table(3);
+  game.startHand();
+  foldOut(game);
+  const { buttonSeat } = game;
+  assert.equal(game.callBombPot().success, true);
+  const result = game.startHand({ bombPotAnte: 100 });
+  assert.equal(result.success, true);
+  assert.equal(game.bombPot, true);
+  assert.equal(game.phase, 'flop');
+  assert.equal(game.community.length, 3);
+  assert.equal(game.pot, 300);
+  assert.equal(game.callAmount, 0);
+  assert.equal(game.buttonSeat, buttonSeat);
+  assert.equal(game.getCurrentPlayer().id, 'p2', 'first live seat left of the button');
+  assert.equal(game.handRecord.events.filter(e => e.type === 'blind').length, 0);
+  checkDown(game);
+  assert.equal(totalChips(game), 3000);
+
+  game.startHand();
+  assert.equal(game.bombPot, false);
+  assert.equal(game.players[game.dealerIndex].id, 'p2', 'the button moves on as if the bomb pot never happened');
+  assert.equal(player(game, 'p1').bet, 50);
+});
+
+test('bomb pots can come round every few hands', () => {
+  const game = table(3);
+  game.startHand({ bombPotEvery: 2 });
+  assert.equal(game.bombPot, false);
+  foldOut(game);
+  game.startHand();
+  assert.equal(game.bombPot, true);
+  assert.equal(game.phase, 'flop');
+});
+
+test('pot-limit caps raises at the size of the pot', () => {
+  const game = table(3);
+  game.startHand({ bettingStructure: 'pot-limit' });
+  const limits = game.getBetLimits(player(game, 'p1'));
+  assert.equal(limits.maxRaiseTo, 175);
+  assert.match(game.applyAction('p1', 'raise', 200).error, /Maximum raise is to \$175/);
+  assert.match(game.applyAction('p1', 'allin').error, /over the pot-limit maximum/);
+});
+
+test('fixed-limit raises are one bet and capped per street', () => {
+  const game = table(4, { stacks: [5000, 5000, 5000, 5000] });
+  game.startHand({ bettingStructure: 'fixed-limit', raiseCap: 4 });
+  // p4 is first to act: the big blind counts as the first bet
+  play(game, [['p4', 'raise', 100], ['p1', 'raise', 150], ['p2', 'raise', 200]]);
+  const limits = game.getBetLimits(player(game, 'p3'));
+  assert.equal(limits.canRaise, false);
+  assert.match(game.applyAction('p3', 'raise', 250).error, /capped/);
+});
+
+test('Omaha Hi-Lo splits the pot between high and low', () => {
+  const game = table(2);
+  // p1: the nut low; p2: trip kings
+  game.stackDeck(cards('As 2d 9c 9h  Ks Kd Qc Jh  3c 6d Kh Tc 8s'));
+  game.startHand({ variant: 'omaha8' });
+  const result = checkDown(game);
+  const byId = Object.fromEntries(result.winners.map(w => [w.id, w]));
+  assert.equal(byId.p1.amount, 50);
+  assert.match(byId.p1.handName, /8-6-3-2-A low/);
+  assert.equal(byId.p2.amount, 50);
+  assert.equal(byId.p2.handName, 'Three of a Kind');
+});
+
+test('snapshot refunds a hand in progress', () => {
+  const game = table(3);
+  game.startHand();
+  play(game, [['p1', 'raise', 300]]);
+  const restored = new PokerGame('TEST01');
+  restored.restore(JSON.parse(JSON.stringify(game.snapshot())));
+  assert.deepEqual(restored.players.map(p => p.chips), [1000, 1000, 1000]);
+  assert.equal(restored.phase, 'waiting');
+});
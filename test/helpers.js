@@ -0,0 +1,120 @@
+const { io } = require('socket.io-client');
+const { PokerGame } = require('../src/game');
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────────────
+
+const SUIT = { s: '♠', h: '♥', d: '♦', c: '♣' };
+
+// cards('As Td 2c') -> [{ r: 'A', s: '♠' }, { r: '10', s: '♦' }, { r: '2', s: '♣' }]
+function cards(str) {
+  return str.trim().split(/\s+/).map(c => ({ r: c[0] === 'T' ? '10' : c.slice(0, -1), s: SUIT[c.slice(-1)] }));
+}
+
+// A table of players p1..pn with a deterministic deck.
+// opts.stacks: chips per seat (defaults to 1000 each)
+function table(n, opts = {}) {
+  const game = new PokerGame('TEST01');
+  game.seedDecks(opts.seed || 'test');
+  for (let i = 0; i < n; i++) {
+    game.addPlayer(`p${i + 1}`, `P${i + 1}`, opts.stacks ? opts.stacks[i] : 1000);
+  }
+  return game;
+}
+
+function player(game, id) {
+  return game.players.find(p => p.id === id);
+}
+
+function totalChips(game) {
+  return game.players.reduce((a, p) => a + p.chips, 0) + game.pot;
+}
+
+// Play a list of [playerId, action, amount] steps, failing loudly on
+// an out-of-turn or illegal move. Returns the last result.
+function play(game, steps) {
+  let result;
+  for (const [id, action, amount] of steps) {
+    result = game.applyAction(id, action, amount);
+    if (result.error) throw new Error(`${id} ${action}${amount ? ' ' + amount : ''}: ${result.error}`);
+  }
+  return result;
+}
+
+// Check or call for whoever is to act until the hand ends, running the
+// board out if everyone is all-in
+function checkDown(game) {
+  let result;
+  for (let i = 0; i < 100; i++) {
+    const p = game.getCurrentPlayer();
+    result = game.runningOut
+      ? game.continueRunout()
+      : game.applyAction(p.id, game.getBetLimits(p).canCheck ? 'check' : 'call');
+    if (result.error) throw new Error(result.error);
+    if (result.advance === 'hand_over' || result.advance === 'showdown') return result;
+  }
+  throw new Error('Hand did not finish');
+}
+
+// Fold round the table until someone wins the blinds
+function foldOut(game) {
+  for (let i = 0; i < 20; i++) {
+    const result = game.applyAction(game.getCurrentPlayer().id, 'fold');
+    if (result.error) throw new Error(result.error);
+    if (result.advance === 'hand_over') return result;
+  }
+  throw new Error('Hand did not finish');
+}
+
+// Small seeded PRNG (mulberry32) so simulations replay exactly
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── SERVER HELPERS ──────────────────────────────────────────────────────────
+// For tests against a running server; base is its URL.
+
+async function createRoom(base, body = {}) {
+  const res = await fetch(`${base}/api/rooms`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  return (await res.json()).roomId;
+}
+
+// A connected client that remembers the latest game:state. Closed when the
+// test ends, pass or fail, so a dangling socket can't hold the run open.
+function client(t, base) {
+  const socket = io(base, { forceNew: true, transports: ['websocket'] });
+  socket.state = null;
+  socket.on('game:state', s => { socket.state = s; });
+  t.after(() => socket.close());
+  return socket;
+}
+
+function once(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+// Resolves once a game:state satisfies the predicate, the latest one included
+function stateWhere(socket, predicate) {
+  return new Promise(resolve => {
+    if (socket.state && predicate(socket.state)) return resolve(socket.state);
+    const check = s => { if (predicate(s)) { socket.off('game:state', check); resolve(s); } };
+    socket.on('game:state', check);
+  });
+}
+
+async function join(socket, roomId, extra = {}) {
+  const joined = once(socket, 'room:joined');
+  socket.emit('room:join', { roomId, playerName: 'Tester', ...extra });
+  return joined;
+}
+
+module.exports = {
+  cards, table, player, totalChips, play, checkDown, foldOut, seededRandom,
+  createRoom, client, once, stateWhere, join
+};
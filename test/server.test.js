@@ -0,0 +1,598 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRoom, client, once, stateWhere, join } = require('./helpers');
+
+// Runs the real server in a child process on a spare port with its own data
+// dir. Timers are short; env overrides them for a test that needs its own.
+let base;
+const servers = [];
+
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poker-test-'));
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const proc = spawn(process.execPath, [path.join(__dirname, '../src/server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, BOT_DELAY_MS: '0', RUNOUT_DELAY_MS: '0', HOST_TIMEOUT_MS: '200', LOBBY_UPDATE_MS: '50', ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  servers.push({ proc, dataDir });
+  await new Promise((resolve, reject) => {
+    proc.stdout.on('data', d => { if (String(d).includes('running on port')) resolve(); });
+    proc.on('exit', code => reject(new Error(`server exited with ${code}`)));
+  });
+  return `http://localhost:${port}`;
+}
+
+test.before(async () => {
+  base = await startServer();
+});
+
+test.after(() => {
+  for (const { proc, dataDir } of servers) {
+    proc.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('joining issues a session token that reclaims the seat', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const first = await join(a, roomId);
+  assert.equal(first.isHost, true);
+  assert.ok(first.token);
+
+  const b = client(t, base);
+  const again = await join(b, roomId, { token: first.token });
+  assert.equal(again.playerId, first.playerId);
+
+  const c = client(t, base);
+  const expired = once(c, 'session:expired');
+  const stranger = await join(c, roomId, { token: 'not-a-token' });
+  await expired;
+  assert.notEqual(stranger.playerId, first.playerId);
+});
+
+test('only the host can deal', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  const guest = client(t, base);
+  await join(host, roomId);
+  await join(guest, roomId);
+  const err = once(guest, 'error');
+  guest.emit('game:deal');
+  assert.equal((await err).message, 'Only the host can deal');
+});
+
+test('a hand against bots plays out and lands in the hand history', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  const { playerId } = await join(host, roomId);
+  const seated = stateWhere(host, s => s.players.filter(p => p.bot).length === 2);
+  host.emit('bot:add', { strategy: 'random' });
+  host.emit('bot:add', { strategy: 'tight' });
+  await seated;
+
+  host.on('game:your_turn', ({ playerId: id }) => {
+    if (id !== playerId) return;
+    // Let the state for this turn arrive first
+    setImmediate(() => host.emit('game:action', { action: host.state.betting.canCheck ? 'check' : 'call' }));
+  });
+  const over = once(host, 'game:hand_over');
+  host.emit('game:deal');
+  const result = await over;
+  assert.ok(result.winners.length >= 1);
+
+  const { hands } = await (await fetch(`${base}/api/rooms/${roomId}/hands`)).json();
+  assert.equal(hands.length, 1);
+
+  // The seed would give away every hand, so it waits for the end of the game
+  assert.equal((await fetch(`${base}/api/rooms/${roomId}/hands/1/verify`)).status, 403);
+  assert.equal((await (await fetch(`${base}/api/rooms/${roomId}/hands/1`)).json()).fairness.serverSeed, null);
+  assert.equal(host.state.fairness.hand.serverSeed, null);
+  const ended = once(host, 'game:ended');
+  host.emit('game:end');
+  assert.ok((await ended).fairness.hand.serverSeed);
+  const verify = await (await fetch(`${base}/api/rooms/${roomId}/hands/1/verify`)).json();
+  assert.equal(verify.valid, true);
+  assert.ok((await (await fetch(`${base}/api/rooms/${roomId}/hands/1`)).json()).fairness.serverSeed);
+});
+
+test('hand histories export as PokerStars text with only your own cards dealt', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const seatA = await join(a, roomId, { playerName: 'Ann' });
+  const seatB = await join(b, roomId, { playerName: 'Bo' });
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+
+  // The button folds its small blind; nobody shows
+  const folder = first.currentPlayerId === seatA.playerId ? a : b;
+  const over = once(a, 'game:hand_over');
+  folder.emit('game:action', { action: 'fold' });
+  await over;
+  const letter = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+  const own = (socket, id) => `[${socket.state.players.find(p => p.id === id).hand.map(c => (c.r === '10' ? 'T' : c.r) + letter[c.s]).join(' ')}]`;
+  const annCards = own(a, seatA.playerId);
+  const boCards = own(b, seatB.playerId);
+  const [folderName, winnerName] = folder === a ? ['Ann', 'Bo'] : ['Bo', 'Ann'];
+
+  const get = async query => (await fetch(`${base}/api/rooms/${roomId}/hands/1${query}`)).text();
+  const anonymous = await get('?format=text');
+  const lines = anonymous.split('\n');
+  assert.match(lines[0], /^PokerStars Hand #\d+: {2}Hold'em No Limit \(\$25\/\$50 USD\) - \d{4}\/\d\d\/\d\d \d\d:\d\d:\d\d UTC$/);
+  assert.match(lines[1], new RegExp(`^Table '${roomId}' 9-max Seat #\\d is the button$`));
+  for (const line of ['Seat 1: Ann ($1500 in chips)', 'Seat 2: Bo ($1500 in chips)', '*** HOLE CARDS ***',
+    `${folderName}: folds`, `${winnerName} collected $75 from pot`, '*** SUMMARY ***', 'Total pot $75 | Rake $0',
+    `Seat 1: Ann${folder === a ? ' (button) folded' : ' collected ($75)'}`]) {
+    assert.ok(lines.includes(line), line);
+  }
+  assert.ok(!anonymous.includes('Dealt to'));
+  assert.ok(!anonymous.includes(annCards) && !anonymous.includes(boCards));
+  assert.equal(await get('?format=text&token=not-a-token'), anonymous);
+
+  // Your session token shows you your own hand, and only yours
+  const annText = await get(`?format=text&token=${seatA.token}`);
+  assert.ok(annText.split('\n').includes(`Dealt to Ann ${annCards}`));
+  assert.ok(!annText.includes(boCards));
+  const annJson = JSON.parse(await get(`?token=${seatA.token}`));
+  assert.deepEqual(annJson.seats.map(s => s.cards === null), [false, true]);
+  assert.deepEqual(JSON.parse(await get('')).seats.map(s => s.cards), [null, null]);
+
+  // The whole history too
+  const all = await (await fetch(`${base}/api/rooms/${roomId}/hands?format=text&token=${seatB.token}`)).text();
+  assert.ok(all.startsWith('PokerStars Hand #'));
+  assert.ok(all.split('\n').includes(`Dealt to Bo ${boCards}`));
+  assert.ok(!all.includes(annCards));
+});
+
+test('an all-in is run out street by street without input', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const { playerId: aId } = await join(a, roomId);
+  await join(b, roomId);
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+
+  // Heads-up the button posts the small blind and acts first
+  const [actor, other] = first.currentPlayerId === aId ? [a, b] : [b, a];
+  const phases = [];
+  a.on('game:state', s => { if (s.runningOut) phases.push(s.phase); });
+  const over = once(a, 'game:hand_over');
+  const called = stateWhere(other, s => s.currentPlayerId && s.currentPlayerId !== first.currentPlayerId);
+  actor.emit('game:action', { action: 'allin' });
+  await called;
+  other.emit('game:action', { action: 'call' });
+  await over;
+  assert.deepEqual(phases, ['flop', 'turn', 'river']);
+  assert.equal(a.state.phase, 'showdown');
+  assert.equal(a.state.community.length, 5);
+});
+
+test('all-in players see their equity and can agree to run it twice', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const { playerId: aId } = await join(a, roomId);
+  await join(b, roomId);
+  const agreed = stateWhere(a, s => s.players.every(p => p.runItTwice));
+  a.emit('player:run_it_twice', { on: true });
+  b.emit('player:run_it_twice', { on: true });
+  await agreed;
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+
+  const [actor, other] = first.currentPlayerId === aId ? [a, b] : [b, a];
+  const boards = [];
+  a.on('game:state', s => { if (s.equity) boards.push(s.equity.board); });
+  const over = once(a, 'game:hand_over');
+  const called = stateWhere(other, s => s.currentPlayerId && s.currentPlayerId !== first.currentPlayerId);
+  actor.emit('game:action', { action: 'allin' });
+  await called;
+  other.emit('game:action', { action: 'call' });
+  await over;
+  assert.deepEqual([...new Set(boards)], [1, 2]);
+  assert.equal(a.state.runTwice, true);
+  assert.equal(a.state.board2.length, 5);
+  assert.equal(a.state.equity, null);
+});
+
+test('after a fold the winner can show a card and the rabbit can be hunted', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const { playerId: aId } = await join(a, roomId);
+  const { playerId: bId } = await join(b, roomId);
+  const allowed = stateWhere(a, s => s.settings.rabbitHunt);
+  a.emit('settings:update', { rabbitHunt: true });
+  await allowed;
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+
+  const [folder, winner, winnerId] = first.currentPlayerId === aId ? [a, b, bId] : [b, a, aId];
+  const over = once(folder, 'game:hand_over');
+  folder.emit('game:action', { action: 'fold' });
+  await over;
+  assert.equal(folder.state.players.find(p => p.id === winnerId).hand, null);
+
+  const shown = stateWhere(folder, s => s.players.find(p => p.id === winnerId).hand);
+  winner.emit('game:show_cards', { cards: [0] });
+  const { players } = await shown;
+  const hand = players.find(p => p.id === winnerId).hand;
+  assert.equal(hand.length, 2);
+  assert.ok(hand[0]);
+  assert.equal(hand[1], null);
+
+  const hunted = stateWhere(folder, s => s.rabbit);
+  folder.emit('game:rabbit_hunt');
+  assert.equal((await hunted).rabbit.length, 5);
+});
+
+test('spectators see no hole cards until they are shown', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const watcher = client(t, base);
+  const { playerId: aId } = await join(a, roomId);
+  const { playerId: bId } = await join(b, roomId);
+  const watching = once(watcher, 'room:spectating');
+  watcher.emit('room:spectate', { roomId });
+  await watching;
+
+  // Both check it down; the watcher never sees a card before the showdown
+  const seen = [];
+  watcher.on('game:state', s => { if (s.phase !== 'showdown') seen.push(...s.players.map(p => p.hand)); });
+  for (const [socket, id] of [[a, aId], [b, bId]]) {
+    socket.on('game:your_turn', ({ playerId }) => {
+      if (playerId !== id) return;
+      setImmediate(() => socket.emit('game:action', { action: socket.state.betting.canCheck ? 'check' : 'call' }));
+    });
+  }
+  const shown = stateWhere(watcher, s => s.phase === 'showdown');
+  const over = once(a, 'game:hand_over');
+  a.emit('game:deal');
+  const [end] = await Promise.all([shown, over]);
+  assert.ok(seen.length > 0);
+  assert.ok(seen.every(hand => hand === null));
+
+  // At the showdown: exactly the hands that were shown, nothing of a mucked one
+  const hand = await (await fetch(`${base}/api/rooms/${roomId}/hands/1`)).json();
+  const shows = hand.events.filter(e => e.type === 'show');
+  assert.ok(shows.length >= 1);
+  assert.deepEqual(end.players.filter(p => p.hand).map(p => p.id).sort(), shows.map(e => e.playerId).sort());
+  for (const { playerId, cards } of shows) assert.deepEqual(end.players.find(p => p.id === playerId).hand, cards);
+});
+
+test('sitting out on your turn checks or folds for you', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  const guest = client(t, base);
+  await join(host, roomId);
+  const { playerId: guestId } = await join(guest, roomId);
+  const dealt = stateWhere(guest, s => s.phase === 'preflop');
+  host.emit('game:deal');
+  const first = await dealt;
+
+  if (first.currentPlayerId !== guestId) {
+    const guestTurn = stateWhere(guest, s => s.currentPlayerId === guestId);
+    host.emit('game:action', { action: 'call' });
+    await guestTurn;
+  }
+  const moved = stateWhere(host, s => s.currentPlayerId !== guestId && s.players.find(p => p.id === guestId).sitOut);
+  guest.emit('player:sit_out');
+  const state = await moved;
+  assert.ok(state.log.some(l => /^Tester (checks|folds)\./.test(l.msg)));
+});
+
+test('a reconnecting player gets the running turn clock', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  const guest = client(t, base);
+  const { token } = await join(host, roomId);
+  await join(guest, roomId);
+  const dealt = stateWhere(host, s => s.phase === 'preflop' && s.clock);
+  host.emit('game:deal');
+  const { clock } = await dealt;
+  assert.equal(clock.seconds, 30);
+  assert.equal(clock.timeBank, false);
+
+  const again = client(t, base);
+  const state = stateWhere(again, s => s.phase === 'preflop');
+  await join(again, roomId, { token });
+  assert.equal((await state).clock.deadline, clock.deadline);
+});
+
+test('the host can lock the table, kick and ban', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  await join(host, roomId);
+  const locked = stateWhere(host, s => s.locked);
+  host.emit('host:lock', { locked: true });
+  await locked;
+  const late = client(t, base);
+  const refused = once(late, 'error');
+  late.emit('room:join', { roomId, playerName: 'Late' });
+  assert.equal((await refused).message, 'This table is locked');
+  host.emit('host:lock', { locked: false });
+
+  const guest = client(t, base);
+  const { playerId: guestId } = await join(guest, roomId);
+  const kicked = once(guest, 'player:removed');
+  host.emit('host:kick', { playerId: guestId });
+  assert.equal((await kicked).banned, false);
+
+  const pest = client(t, base);
+  const { playerId: pestId, token } = await join(pest, roomId);
+  const banned = once(pest, 'player:removed');
+  host.emit('host:ban', { playerId: pestId });
+  assert.equal((await banned).banned, true);
+  const back = client(t, base);
+  const err = once(back, 'error');
+  back.emit('room:join', { roomId, playerName: 'Pest', token });
+  assert.equal((await err).message, 'You are banned from this table');
+  assert.deepEqual(host.state.players.map(p => p.id), [host.state.hostId]);
+});
+
+test('hosting can be handed over, and passes on when the host stays away', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  const guest = client(t, base);
+  await join(host, roomId);
+  const { playerId: guestId } = await join(guest, roomId);
+
+  const handedOver = stateWhere(guest, s => s.isHost);
+  host.emit('host:transfer', { playerId: guestId });
+  await handedOver;
+  const err = once(host, 'error');
+  host.emit('game:deal');
+  assert.equal((await err).message, 'Only the host can deal');
+
+  const passed = stateWhere(host, s => s.isHost);
+  guest.close();
+  await passed;
+});
+
+test('pausing freezes the table until the host resumes', async (t) => {
+  const roomId = await createRoom(base);
+  const host = client(t, base);
+  const guest = client(t, base);
+  const { playerId: hostId } = await join(host, roomId);
+  await join(guest, roomId);
+  const dealt = stateWhere(host, s => s.phase === 'preflop' && s.clock);
+  host.emit('game:deal');
+  const first = await dealt;
+  const actor = first.currentPlayerId === hostId ? host : guest;
+
+  const paused = stateWhere(host, s => s.paused);
+  host.emit('host:pause');
+  assert.ok((await paused).clock.remaining > 0);
+  const err = once(actor, 'error');
+  actor.emit('game:action', { action: 'call' });
+  assert.equal((await err).message, 'The game is paused');
+
+  const resumed = stateWhere(host, s => !s.paused && s.clock?.remaining === null);
+  host.emit('host:resume');
+  await resumed;
+  const moved = stateWhere(host, s => s.currentPlayerId !== first.currentPlayerId);
+  actor.emit('game:action', { action: 'call' });
+  await moved;
+});
+
+test('pausing and resuming during a run-out still deals one street at a time', async (t) => {
+  // Streets far enough apart for the pause to land between them
+  const slow = await startServer({ RUNOUT_DELAY_MS: '300' });
+  const roomId = await createRoom(slow);
+  const host = client(t, slow);
+  const guest = client(t, slow);
+  const { playerId: hostId } = await join(host, roomId);
+  await join(guest, roomId);
+  const dealt = stateWhere(host, s => s.phase === 'preflop');
+  host.emit('game:deal');
+  const first = await dealt;
+
+  const [actor, other] = first.currentPlayerId === hostId ? [host, guest] : [guest, host];
+  const streets = [];
+  host.on('game:state', s => {
+    if (s.runningOut && streets.at(-1)?.cards !== s.community.length) streets.push({ cards: s.community.length, at: Date.now() });
+  });
+  const over = once(host, 'game:hand_over');
+  const called = stateWhere(other, s => s.currentPlayerId && s.currentPlayerId !== first.currentPlayerId);
+  actor.emit('game:action', { action: 'allin' });
+  await called;
+  const flop = stateWhere(host, s => s.runningOut && s.community.length === 3 && s.equity);
+  other.emit('game:action', { action: 'call' });
+  await flop;
+  host.emit('host:pause');
+  host.emit('host:resume');
+  await over;
+  assert.deepEqual(streets.map(s => s.cards), [3, 4, 5]);
+  // A second timer would have dealt the river hard on the heels of the turn
+  assert.ok(streets[2].at - streets[1].at >= 200, `river ${streets[2].at - streets[1].at}ms after the turn`);
+});
+
+test('public tables are listed for the lobby, private ones are not', async (t) => {
+  const open = await createRoom(base, { name: 'Friday Night' });
+  const hidden = await createRoom(base, { name: 'Just Us', private: true });
+  const { rooms } = await (await fetch(`${base}/api/rooms`)).json();
+  const listed = rooms.find(r => r.roomId === open);
+  assert.equal(listed.name, 'Friday Night');
+  assert.equal(listed.variant, "Texas Hold'em");
+  assert.deepEqual([listed.smallBlind, listed.bigBlind, listed.players, listed.maxPlayers], [25, 50, 0, 9]);
+  assert.equal(rooms.some(r => r.roomId === hidden), false);
+  const direct = await (await fetch(`${base}/api/rooms/${hidden}`)).json();
+  assert.equal(direct.private, true);
+
+  const watcher = client(t, base);
+  const first = once(watcher, 'lobby:rooms');
+  watcher.emit('lobby:watch');
+  await first;
+  const updated = new Promise(resolve => watcher.on('lobby:rooms', ({ rooms }) => {
+    if (rooms.find(r => r.roomId === open)?.players === 1) resolve();
+  }));
+  await join(client(t, base), open);
+  await updated;
+});
+
+test('joins need the password and a free seat', async (t) => {
+  const roomId = await createRoom(base, { password: 'hunter2' });
+  const host = client(t, base);
+  const err = once(host, 'error');
+  host.emit('room:join', { roomId, playerName: 'Host', password: 'wrong' });
+  assert.equal((await err).message, 'Wrong password');
+  await join(host, roomId, { password: 'hunter2' });
+  const summary = await (await fetch(`${base}/api/rooms/${roomId}`)).json();
+  assert.equal(summary.hasPassword, true);
+
+  const smaller = stateWhere(host, s => s.settings.maxPlayers === 2);
+  host.emit('settings:update', { maxPlayers: 2 });
+  await smaller;
+  await join(client(t, base), roomId, { password: 'hunter2' });
+  const late = client(t, base);
+  const full = once(late, 'error');
+  late.emit('room:join', { roomId, playerName: 'Late', password: 'hunter2' });
+  assert.equal((await full).message, 'Table is full');
+});
+
+test('a table with a password keeps its hands and stats to the people at it', async (t) => {
+  const roomId = await createRoom(base, { password: 'hunter2' });
+  const a = client(t, base);
+  const b = client(t, base);
+  const seat = await join(a, roomId, { password: 'hunter2' });
+  await join(b, roomId, { password: 'hunter2' });
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+  const over = once(a, 'game:hand_over');
+  (first.currentPlayerId === seat.playerId ? a : b).emit('game:action', { action: 'fold' });
+  await over;
+  const elsewhere = await join(client(t, base), await createRoom(base));
+
+  const paths = ['/hands', '/hands?format=text', '/hands/1', '/stats', '/hands/1/verify'];
+  const get = async (path, headers = {}) => {
+    const res = await fetch(`${base}/api/rooms/${roomId}${path}`, { headers });
+    return { status: res.status, error: res.ok ? null : (await res.json()).error };
+  };
+  for (const path of paths) {
+    for (const headers of [{}, { 'x-room-password': 'wrong' }, { 'x-session-token': elsewhere.token }]) {
+      assert.deepEqual(await get(path, headers), { status: 403, error: 'Wrong password' }, `${path} ${JSON.stringify(headers)}`);
+    }
+  }
+  for (const path of paths.slice(0, 4)) {
+    assert.equal((await get(path, { 'x-room-password': 'hunter2' })).status, 200, path);
+    assert.equal((await get(`${path}${path.includes('?') ? '&' : '?'}token=${seat.token}`)).status, 200, path);
+  }
+  // Past the password, the seed still waits for the end of the game
+  assert.equal((await get('/hands/1/verify', { 'x-room-password': 'hunter2' })).error, 'Server seeds are revealed when the game ends');
+});
+
+async function api(method, url, body, headers = {}) {
+  const res = await fetch(`${base}${url}`, { method, headers: { 'content-type': 'application/json', ...headers }, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test('accounts log in and fund buy-ins from their bankroll', async (t) => {
+  const made = await api('POST', '/api/accounts', { username: 'alice', password: 'secret1' });
+  assert.equal(made.status, 201);
+  assert.equal(made.body.bankroll, 10000);
+  assert.equal((await api('POST', '/api/accounts', { username: 'Alice', password: 'secret1' })).body.error, 'That username is taken');
+  assert.equal((await api('POST', '/api/login', { username: 'alice', password: 'nope' })).status, 401);
+  const { body: { token } } = await api('POST', '/api/login', { username: 'alice', password: 'secret1' });
+
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const joined = await join(a, roomId, { authToken: token });
+  assert.equal(joined.playerName, 'alice');
+  assert.equal((await api('GET', '/api/me', null, { 'x-auth-token': token })).body.bankroll, 8500);
+
+  const gone = once(a, 'player:removed');
+  a.emit('player:leave');
+  await gone;
+  assert.equal((await api('GET', '/api/me', null, { 'x-auth-token': token })).body.bankroll, 10000);
+
+  await api('POST', '/api/logout', null, { 'x-auth-token': token });
+  assert.equal((await api('GET', '/api/me', null, { 'x-auth-token': token })).status, 401);
+});
+
+test('finished hands count toward the leaderboard', async (t) => {
+  const { body: { token } } = await api('POST', '/api/accounts', { username: 'bob', password: 'secret1' });
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const { playerId } = await join(a, roomId, { authToken: token });
+  await join(b, roomId);
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+  const over = once(a, 'game:hand_over');
+  (first.currentPlayerId === playerId ? a : b).emit('game:action', { action: 'fold' });
+  await over;
+
+  const { body } = await api('GET', '/api/leaderboard?sort=hands');
+  const bob = body.leaderboard.find(r => r.username === 'bob');
+  assert.equal(bob.hands, 1);
+  assert.equal(Math.abs(bob.net), 25);
+});
+
+test('session stats are served per room and sent with the end of the game', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  const { playerId: aId } = await join(a, roomId);
+  const { playerId: bId } = await join(b, roomId);
+  const dealt = stateWhere(a, s => s.phase === 'preflop');
+  a.emit('game:deal');
+  const first = await dealt;
+  const folderId = first.currentPlayerId;
+  const over = once(a, 'game:hand_over');
+  (folderId === aId ? a : b).emit('game:action', { action: 'fold' });
+  await over;
+
+  const { body } = await api('GET', `/api/rooms/${roomId}/stats`);
+  assert.equal(body.hands, 1);
+  const stats = Object.fromEntries(body.stats.map(s => [s.id, s]));
+  assert.deepEqual(Object.keys(stats).sort(), [aId, bId].sort());
+  assert.equal(stats[folderId].hands, 1);
+  assert.equal(stats[folderId].vpip, 0);
+  assert.equal(stats[folderId].net + stats[folderId === aId ? bId : aId].net, 0);
+  assert.equal((await api('GET', '/api/rooms/NOPE42/stats')).status, 404);
+
+  const ended = once(a, 'game:ended');
+  a.emit('game:end');
+  assert.equal((await ended).stats.length, 2);
+});
+
+test('the host can call a bomb pot and players can opt in to straddling', async (t) => {
+  const roomId = await createRoom(base);
+  const a = client(t, base);
+  const b = client(t, base);
+  await join(a, roomId);
+  const { playerId: bId } = await join(b, roomId);
+
+  const refused = once(b, 'error');
+  b.emit('host:bomb_pot');
+  assert.match((await refused).message, /Only the host/);
+
+  const straddling = stateWhere(a, s => s.settings.straddle && s.players.find(p => p.id === bId).straddle);
+  a.emit('settings:update', { straddle: true, bombPotAnte: 100 });
+  b.emit('player:straddle', { on: true });
+  await straddling;
+
+  const called = stateWhere(a, s => s.bombPotNext);
+  a.emit('host:bomb_pot');
+  await called;
+  const flop = stateWhere(a, s => s.phase === 'flop');
+  a.emit('game:deal');
+  const state = await flop;
+  assert.equal(state.bombPot, true);
+  assert.equal(state.bombPotNext, false);
+  assert.equal(state.pot, 200);
+  assert.equal(state.community.length, 3);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate } = require('./simulator');
+
+test('thousands of random hands conserve chips', () => {
+  for (const seed of [1, 2, 3]) {
+    const stats = simulate({ hands: 1500, seed });
+    assert.equal(stats.hands, 1500);
+  }
+});
+
+test('heads-up and full tables', () => {
+  simulate({ hands: 500, seed: 11, players: 2 });
+  simulate({ hands: 500, seed: 12, players: 9 });
+});
+
+test('strategy bots only make legal moves', () => {
+  // Equity bots sample hands, so keep this one short
+  const stats = simulate({ hands: 30, seed: 5, players: 3, strategies: ['tight', 'equity'] });
+  assert.ok(stats.showdowns > 0);
+});
+
+test('the same seed replays the same session', () => {
+  assert.deepEqual(simulate({ hands: 200, seed: 42 }), simulate({ hands: 200, seed: 42 }));
+});
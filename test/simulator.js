@@ -0,0 +1,122 @@
+const { PokerGame } = require('../src/game');
+const { VARIANTS } = require('../src/variants');
+const bots = require('../src/bots');
+const { seededRandom } = require('./helpers');
+
+// ─── HEADLESS SIMULATOR ──────────────────────────────────────────────────────
+// Plays random hands with bot seats straight against the engine and checks
+// the table's invariants after every action and hand. Everything is seeded,
+// so a failure replays exactly: `npm run simulate -- <hands> <seed>`.
+
+const STRUCTURES = ['no-limit', 'pot-limit', 'fixed-limit'];
+
+function pick(rand, list) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+function simulate({ hands = 1000, seed = 1, players = 6, strategies = ['random'], variants = Object.keys(VARIANTS) } = {}) {
+  const rand = seededRandom(seed);
+  const game = new PokerGame('SIM001');
+  game.seedDecks(seed);
+  for (let i = 0; i < players; i++) {
+    game.addPlayer(`b${i + 1}`, `Bot ${i + 1}`, 200 + Math.floor(rand() * 1800), '🤖', pick(rand, strategies));
+  }
+  const fail = (msg) => { throw new Error(`Seed ${seed}, hand ${game.handNumber}: ${msg}`); };
+  const stats = { hands: 0, actions: 0, showdowns: 0, runouts: 0, runTwice: 0, straddles: 0, bombPots: 0, rebuys: 0 };
+  let total = game.players.reduce((a, p) => a + p.chips, 0);
+
+  for (let h = 0; h < hands; h++) {
+    // Seats come and go so the dead-button and missed-blind rules get played
+    if (rand() < 0.15) {
+      const p = pick(rand, game.players);
+      if (p.sitOut) game.sitIn(p.id, { postBlind: rand() < 0.5 });
+      else game.sitOut(p.id);
+    }
+    if (game.players.filter(p => !p.sitOut).length < 2) game.players.forEach(p => game.sitIn(p.id));
+    // Some all-ins are run twice
+    if (rand() < 0.3) game.setRunItTwice(pick(rand, game.players).id, rand() < 0.7);
+    // and some players show every hand
+    if (rand() < 0.1) game.setMuck(pick(rand, game.players).id, rand() < 0.7);
+    // Straddles when the table allows them, and the odd bomb pot
+    if (rand() < 0.2) game.setStraddle(pick(rand, game.players).id, rand() < 0.6);
+    if (rand() < 0.05) game.callBombPot();
+    // Bust players buy back in so the table keeps going
+    if (game.activePlayers().length < 2) {
+      for (const p of game.players.filter(p => p.chips === 0)) {
+        p.chips = 1000;
+        total += 1000;
+        stats.rebuys++;
+      }
+    }
+    const settings = { variant: pick(rand, variants), bettingStructure: pick(rand, STRUCTURES), ante: rand() < 0.2 ? 5 : 0, runItTwice: rand() < 0.7 };
+    Object.assign(settings, { anteType: pick(rand, ['each', 'big-blind']), straddle: rand() < 0.5 });
+    const start = game.startHand(settings);
+    if (start.error) fail(start.error);
+    const blinds = game.handRecord.events.filter(e => e.type === 'blind');
+    if (game.bombPot && blinds.length) fail('blinds posted in a bomb pot');
+    if (!game.bombPot && !blinds.some(e => e.blind === 'BB')) fail('nobody posted the big blind');
+    if (game.bombPot) stats.bombPots++;
+    if (game.straddle) stats.straddles++;
+
+    let result = start.advance ? start : { advance: 'next_turn' };
+    for (let step = 0; result.advance !== 'hand_over' && result.advance !== 'showdown'; step++) {
+      if (step > 500) fail('hand never finished');
+      if (result.advance === 'runout') {
+        if (game.getCurrentPlayer()) fail('a player is to act during the run-out');
+        result = game.continueRunout();
+        stats.runouts++;
+        continue;
+      }
+      // Now and then someone walks away mid-hand and is checked or folded,
+      if (rand() < 0.01) {
+        game.sitOut(pick(rand, game.players).id);
+        const auto = game.autoActIfAway();
+        if (auto) {
+          if (auto.error) fail(`automatic action: ${auto.error}`);
+          result = auto;
+          continue;
+        }
+      }
+      // and others queue pre-actions for their next turn
+      if (rand() < 0.2) {
+        const q = pick(rand, game.players);
+        if (q !== game.getCurrentPlayer()) game.setPreAction(q.id, pick(rand, ['check-fold', 'check', 'call', 'call-any']));
+      }
+      const p = game.getCurrentPlayer();
+      if (!p) fail(`nobody to act after ${result.advance}`);
+      if (game.isAway(p)) fail(`${p.name} is away but was left to act`);
+      const { action, amount } = bots.decide(game, p.id, rand);
+      result = game.applyAction(p.id, action, amount);
+      if (result.error) fail(`${p.name} ${action} ${amount || ''}: ${result.error}`);
+      stats.actions++;
+      const inPlay = game.players.reduce((a, pl) => a + pl.chips, 0) + game.pot;
+      if (inPlay !== total) fail(`chips in play ${inPlay}, expected ${total}`);
+    }
+
+    const after = game.players.reduce((a, p) => a + p.chips, 0);
+    if (after !== total) fail(`chips after hand ${after}, expected ${total}`);
+    if (game.pot !== 0) fail(`pot not emptied (${game.pot})`);
+    if (game.players.some(p => p.chips < 0)) fail('negative stack');
+    if (game.board2) stats.runTwice++;
+    if (result.advance === 'showdown') {
+      stats.showdowns++;
+      const paid = result.pots.reduce((a, pot) => a + pot.winners.reduce((b, w) => b + w.amount, 0), 0);
+      const potTotal = result.pots.reduce((a, pot) => a + pot.amount, 0);
+      if (paid !== potTotal) fail(`paid ${paid} from pots of ${potTotal}`);
+      if (result.winners.some(w => !game.shown[w.id])) fail('a winning hand was mucked');
+    }
+    stats.hands++;
+  }
+  return stats;
+}
+
+module.exports = { simulate };
+
+if (require.main === module) {
+  const hands = parseInt(process.argv[2]) || 10000;
+  const seed = parseInt(process.argv[3]) || Date.now() % 1e9;
+  const started = Date.now();
+  const stats = simulate({ hands, seed });
+  console.log(`Seed ${seed}: ${stats.hands} hands, ${stats.actions} actions, ${stats.showdowns} showdowns, ${stats.runouts} run-out streets, ` +
+    `${stats.runTwice} run twice, ${stats.straddles} straddles, ${stats.bombPots} bomb pots, ${stats.rebuys} rebuys in ${((Date.now() - started) / 1000).toFixed(1)}s — chips conserved.`);
+}
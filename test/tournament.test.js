@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TournamentGame, normalizeConfig } = require('../src/tournament');
+const { cards, play, checkDown } = require('./helpers');
+
+function tournament(n, config = {}) {
+  const game = new TournamentGame('TOURN1', { startingStack: 1000, buyIn: 100, levelBy: 'hands', levelLength: 2, ...config });
+  game.seedDecks('tournament');
+  for (let i = 0; i < n; i++) game.addPlayer(`p${i + 1}`, `P${i + 1}`);
+  return game;
+}
+
+test('config falls back to defaults for bad values', () => {
+  const c = normalizeConfig({ levels: [{ smallBlind: 50, bigBlind: 10 }], payouts: [80, 40], levelBy: 'weeks', variant: 'nope' });
+  assert.equal(c.levels[0].bigBlind, 20);
+  assert.deepEqual(c.payouts, [50, 30, 20]);
+  assert.equal(c.levelBy, 'time');
+  assert.equal(c.variant, 'holdem');
+  assert.equal(c.bettingStructure, 'no-limit');
+  assert.equal(normalizeConfig({ variant: 'omaha' }).bettingStructure, 'pot-limit');
+  assert.equal(normalizeConfig({ variant: 'omaha', bettingStructure: 'fixed-limit' }).bettingStructure, 'fixed-limit');
+});
+
+test('blinds go up by the schedule', () => {
+  const game = tournament(3);
+  for (let h = 0; h < 2; h++) {
+    game.startHand();
+    game.applyAction(game.getCurrentPlayer().id, 'fold');
+    game.applyAction(game.getCurrentPlayer().id, 'fold');
+  }
+  const result = game.startHand();
+  assert.deepEqual(result.levelUp, { level: 2, smallBlind: 15, bigBlind: 30, ante: 0 });
+});
+
+test('no joins, rebuys or add-ons once started', () => {
+  const game = tournament(2);
+  game.startHand();
+  assert.match(game.addPlayer('late', 'Late').error, /already started/);
+  assert.match(game.rebuy('p1').error, /not available/);
+  assert.match(game.leaveTable('p1').error, /in progress/);
+});
+
+test('busting out awards places and prizes', () => {
+  const game = tournament(3, { payouts: [70, 30] });
+  // P1 (button) shoves with aces, both blinds call and lose
+  game.stackDeck(cards('As Ad  Ks Kd  Qs Qd  2c 7h 9d Jc 4s'));
+  game.startHand();
+  play(game, [['p1', 'allin'], ['p2', 'call'], ['p3', 'call']]);
+  const result = checkDown(game);
+  assert.equal(result.tournamentOver, true);
+  assert.deepEqual(result.eliminated.map(e => [e.id, e.place]), [['p2', 2], ['p3', 3]]);
+  assert.deepEqual(game.standings().map(s => [s.id, s.place, s.prize]), [['p1', 1, 210], ['p2', 2, 90], ['p3', 3, 0]]);
+  assert.equal(game.startHand().error, 'Tournament is over');
+});
+
+test('with fewer entrants than paid places the whole pool is still paid', () => {
+  const game = tournament(2, { payouts: [50, 30, 20] });
+  game.startHand();
+  const pool = game.prizePool();
+  assert.deepEqual([1, 2, 3].map(place => game.prizeFor(place)), [125, 75, 0]);
+  assert.equal(game.prizeFor(1) + game.prizeFor(2), pool);
+});